@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// How long emailed links stay valid
+const TOKEN_TTL = {
+  password_reset: 60 * 60 * 1000, // 1 hour
+  email_verification: 48 * 60 * 60 * 1000 // 48 hours
+};
+
+function secret() {
+  return process.env.TOKEN_SECRET || process.env.SESSION_SECRET;
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', secret()).update(data).digest('base64url');
+}
+
+/**
+ * A short digest of the account state the token is bound to: the password hash for resets
+ * (so a reset link stops working once it has been used) and the email address for verification.
+ */
+function accountFingerprint(purpose, user) {
+  const state = purpose === 'password_reset' ? user.password || '' : (user.email || '').toLowerCase();
+  return crypto.createHash('sha256').update(`${purpose}:${state}`).digest('base64url').slice(0, 16);
+}
+
+/**
+ * Signed, expiring token for an emailed link: base64url JSON payload, a dot and its HMAC.
+ * Nothing is stored; the fingerprint ties it to the account's current state.
+ */
+function createAccountToken(purpose, user) {
+  const payload = Buffer.from(JSON.stringify({
+    purpose,
+    userId: user.id,
+    fingerprint: accountFingerprint(purpose, user),
+    expiresAt: Date.now() + TOKEN_TTL[purpose]
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Check the signature, purpose and expiry of a token. Returns the payload ({ userId, fingerprint })
+ * or null; callers still compare the fingerprint with the account via accountFingerprint.
+ */
+function readAccountToken(token, purpose) {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    return null;
+  }
+
+  const [payload, signature] = token.split('.');
+  const expected = sign(payload);
+  if (!signature || signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return data.purpose === purpose && data.expiresAt > Date.now() ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { TOKEN_TTL, createAccountToken, readAccountToken, accountFingerprint };
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const net = require('net');
+const { once } = require('events');
+require('dotenv').config();
+
+class ClamAVScanner {
+  constructor() {
+    this.socketPath = process.env.CLAMD_SOCKET || null;
+    this.host = process.env.CLAMD_HOST || '127.0.0.1';
+    this.port = parseInt(process.env.CLAMD_PORT) || 3310;
+    this.timeout = parseInt(process.env.CLAMD_TIMEOUT) || 60 * 1000;
+    // clamd refuses streams over its StreamMaxLength (25MB by default)
+    this.maxFileSize = parseInt(process.env.CLAMD_MAX_FILE_SIZE) || 25 * 1024 * 1024;
+  }
+
+  /**
+   * Scan a local file.
+   * Resolves to { status: 'clean' | 'infected' | 'skipped', signature }, and rejects when
+   * clamd can't be reached or reports an error so the delivery is retried.
+   */
+  async scanFile(filePath) {
+    const { size } = await fs.promises.stat(filePath);
+    if (size > this.maxFileSize) {
+      return { status: 'skipped', signature: null };
+    }
+
+    const reply = await this.instream(filePath);
+    const found = reply.match(/^stream: (.+) FOUND$/);
+
+    if (found) {
+      return { status: 'infected', signature: found[1] };
+    }
+    if (reply === 'stream: OK') {
+      return { status: 'clean', signature: null };
+    }
+    throw new Error(`clamd scan failed: ${reply}`);
+  }
+
+  connect() {
+    return this.socketPath ?
+      net.createConnection(this.socketPath) :
+      net.createConnection(this.port, this.host);
+  }
+
+  /**
+   * Send the file with INSTREAM: length-prefixed chunks ended by a zero-length chunk
+   */
+  instream(filePath) {
+    return new Promise((resolve, reject) => {
+      const socket = this.connect();
+      const replies = [];
+      let settled = false;
+
+      const finish = (error, reply) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        if (error) reject(error);
+        else resolve(reply);
+      };
+
+      socket.setTimeout(this.timeout, () => finish(new Error('clamd did not respond in time')));
+      socket.on('error', finish);
+      socket.on('data', data => replies.push(data));
+      socket.on('end', () => finish(null, Buffer.concat(replies).toString().replace(/\0/g, '').trim()));
+      socket.on('close', () => finish(new Error('clamd closed the connection')));
+
+      socket.on('connect', async () => {
+        try {
+          socket.write('zINSTREAM\0');
+
+          for await (const chunk of fs.createReadStream(filePath, { highWaterMark: 64 * 1024 })) {
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(chunk.length);
+            if (!socket.write(Buffer.concat([length, chunk]))) {
+              await once(socket, 'drain');
+            }
+          }
+
+          socket.write(Buffer.alloc(4));
+        } catch (error) {
+          finish(error);
+        }
+      });
+    });
+  }
+}
+
+module.exports = ClamAVScanner;
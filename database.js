@@ -2,6 +2,11 @@ const sqlite3 = require('sqlite3').verbose();
 const bcrypt = require('bcryptjs');
 const path = require('path');
 
+// Uploads the public gallery may show: not held for review, rejected or blocked, and with a thumbnail
+const GALLERY_VISIBLE = `(review_status IS NULL OR review_status = 'approved') 
+  AND (scan_status IS NULL OR scan_status != 'infected') 
+  AND previews IS NOT NULL AND previews != 'null'`;
+
 class Database {
   constructor() {
     this.db = new sqlite3.Database(path.join(__dirname, 'app.db'));
@@ -32,6 +37,10 @@ class Database {
     this.db.run(`ALTER TABLE users ADD COLUMN provider_id TEXT`, () => {});
     this.db.run(`ALTER TABLE users ADD COLUMN name TEXT`, () => {});
     this.db.run(`ALTER TABLE users ADD COLUMN avatar_url TEXT`, () => {});
+
+    // Email verification for local accounts (OAuth providers verify addresses themselves)
+    this.db.run(`ALTER TABLE users ADD COLUMN email_verified BOOLEAN DEFAULT FALSE`, () => {});
+    this.db.run(`ALTER TABLE users ADD COLUMN email_verified_at DATETIME`, () => {});
     
     // Make password nullable for OAuth users
     this.db.run(`CREATE TABLE IF NOT EXISTS users_backup AS SELECT * FROM users`, () => {});
@@ -59,6 +68,33 @@ class Database {
     // Add event_name column to existing tokens table if it doesn't exist
     this.db.run(`ALTER TABLE upload_tokens ADD COLUMN event_name TEXT DEFAULT 'Photo Collection'`, () => {});
 
+    // Per-event Drive folder columns (IDs are kept so renaming the event never creates a duplicate folder)
+    this.db.run(`ALTER TABLE upload_tokens ADD COLUMN organize_by_guest BOOLEAN DEFAULT FALSE`, () => {});
+    this.db.run(`ALTER TABLE upload_tokens ADD COLUMN drive_folder_id TEXT`, () => {});
+    this.db.run(`ALTER TABLE upload_tokens ADD COLUMN drive_guest_folders TEXT`, () => {});
+
+    // Per-token upload cap (accepted by the token API but previously never stored)
+    this.db.run(`ALTER TABLE upload_tokens ADD COLUMN max_uploads INTEGER DEFAULT 50`, () => {});
+
+    // Deliver HEIC/HEIF/AVIF uploads as JPEG (the original is delivered alongside)
+    this.db.run(`ALTER TABLE upload_tokens ADD COLUMN convert_heic BOOLEAN DEFAULT FALSE`, () => {});
+
+    // Remove GPS/device metadata from photos before delivery
+    this.db.run(`ALTER TABLE upload_tokens ADD COLUMN strip_metadata BOOLEAN DEFAULT FALSE`, () => {});
+
+    // Hold uploads for the owner's approval before delivery
+    this.db.run(`ALTER TABLE upload_tokens ADD COLUMN moderate_uploads BOOLEAN DEFAULT FALSE`, () => {});
+
+    // Public gallery, opened by the upload token or a separate view-only gallery_token
+    this.db.run(`ALTER TABLE upload_tokens ADD COLUMN public_gallery BOOLEAN DEFAULT FALSE`, () => {});
+    this.db.run(`ALTER TABLE upload_tokens ADD COLUMN gallery_token TEXT`, () => {
+      this.db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_upload_tokens_gallery_token ON upload_tokens(gallery_token)`, () => {});
+    });
+
+    // Set once the token.expired webhook has been queued for the token
+    this.db.run(`ALTER TABLE upload_tokens ADD COLUMN expired_notified_at DATETIME`, () => {});
+    this.db.run(`ALTER TABLE upload_tokens ADD COLUMN expiry_warning_sent_at DATETIME`, () => {});
+
     // Create uploads table
     this.db.run(`
       CREATE TABLE IF NOT EXISTS uploads (
@@ -72,10 +108,164 @@ class Database {
         uploaded_to_bucket BOOLEAN DEFAULT FALSE,
         uploaded_to_drive BOOLEAN DEFAULT FALSE,
         uploaded_to_drive_at DATETIME,
+        uploader_name TEXT,
+        guest_message TEXT,
+        duration REAL,
+        width INTEGER,
+        height INTEGER,
+        source_filename TEXT,
+        source_mimetype TEXT,
+        previews TEXT,
+        taken_at TEXT,
+        camera_make TEXT,
+        camera_model TEXT,
+        metadata_stripped BOOLEAN DEFAULT FALSE,
+        scan_status TEXT,
+        scan_signature TEXT,
+        scanned_at DATETIME,
+        content_hash TEXT,
+        perceptual_hash TEXT,
+        near_duplicate_of INTEGER,
+        review_status TEXT,
+        reviewed_at DATETIME,
+        FOREIGN KEY (token_id) REFERENCES upload_tokens(id)
+      )
+    `);
+
+    // Add uploader_name column to existing uploads table if it doesn't exist
+    this.db.run(`ALTER TABLE uploads ADD COLUMN uploader_name TEXT`, () => {});
+    this.db.run(`ALTER TABLE uploads ADD COLUMN guest_message TEXT`, () => {});
+
+    // Media metadata columns (duration in seconds, for videos)
+    this.db.run(`ALTER TABLE uploads ADD COLUMN duration REAL`, () => {});
+    this.db.run(`ALTER TABLE uploads ADD COLUMN width INTEGER`, () => {});
+    this.db.run(`ALTER TABLE uploads ADD COLUMN height INTEGER`, () => {});
+
+    // Unconverted original kept next to a converted upload (e.g. the HEIC behind a JPEG)
+    this.db.run(`ALTER TABLE uploads ADD COLUMN source_filename TEXT`, () => {});
+    this.db.run(`ALTER TABLE uploads ADD COLUMN source_mimetype TEXT`, () => {});
+
+    // Storage keys of the gallery thumbnails/previews (JSON, by variant)
+    this.db.run(`ALTER TABLE uploads ADD COLUMN previews TEXT`, () => {});
+
+    // EXIF details (taken_at is the camera's local time, without a timezone)
+    this.db.run(`ALTER TABLE uploads ADD COLUMN taken_at TEXT`, () => {});
+    this.db.run(`ALTER TABLE uploads ADD COLUMN camera_make TEXT`, () => {});
+    this.db.run(`ALTER TABLE uploads ADD COLUMN camera_model TEXT`, () => {});
+    this.db.run(`ALTER TABLE uploads ADD COLUMN metadata_stripped BOOLEAN DEFAULT FALSE`, () => {});
+
+    // Malware scan verdict (clean, infected or skipped; NULL until scanned or when scanning is off)
+    this.db.run(`ALTER TABLE uploads ADD COLUMN scan_status TEXT`, () => {});
+    this.db.run(`ALTER TABLE uploads ADD COLUMN scan_signature TEXT`, () => {});
+    this.db.run(`ALTER TABLE uploads ADD COLUMN scanned_at DATETIME`, () => {});
+
+    // Duplicate detection (SHA-256 of the received file, 64-bit dHash of the image)
+    this.db.run(`ALTER TABLE uploads ADD COLUMN content_hash TEXT`, () => {
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_uploads_token_hash ON uploads(token_id, content_hash)`, () => {});
+    });
+    this.db.run(`ALTER TABLE uploads ADD COLUMN perceptual_hash TEXT`, () => {});
+    this.db.run(`ALTER TABLE uploads ADD COLUMN near_duplicate_of INTEGER`, () => {});
+
+    // Moderation (pending_review, approved or rejected; NULL for tokens without moderation)
+    this.db.run(`ALTER TABLE uploads ADD COLUMN review_status TEXT`, () => {});
+    this.db.run(`ALTER TABLE uploads ADD COLUMN reviewed_at DATETIME`, () => {});
+
+    // Create resumable upload sessions (received_ranges is a JSON list of [start, end) byte ranges)
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS upload_sessions (
+        id TEXT PRIMARY KEY,
+        token_id INTEGER NOT NULL,
+        original_name TEXT NOT NULL,
+        mimetype TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        guest_name TEXT,
+        guest_message TEXT,
+        received_ranges TEXT,
+        received_bytes INTEGER DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'active',
+        upload_id INTEGER,
+        expires_at TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (token_id) REFERENCES upload_tokens(id)
       )
     `);
 
+    this.db.run(`ALTER TABLE upload_sessions ADD COLUMN guest_message TEXT`, () => {});
+
+    // Sessions hold the file's quota from creation (older sessions reserve it on completion);
+    // client_ip caps how many sessions one guest can keep open
+    this.db.run(`ALTER TABLE upload_sessions ADD COLUMN quota_reserved BOOLEAN DEFAULT FALSE`, () => {});
+    this.db.run(`ALTER TABLE upload_sessions ADD COLUMN client_ip TEXT`, () => {});
+
+    // Create Drive delivery job queue (one job per upload; next_attempt_at is an ISO timestamp)
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS delivery_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        upload_id INTEGER UNIQUE NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at TEXT NOT NULL,
+        last_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (upload_id) REFERENCES uploads(id)
+      )
+    `, () => {
+      // Queue uploads stored before the queue existed; they would otherwise never reach Drive.
+      // Only uploads without a job are added, so this is safe to run on every start.
+      this.db.run(`
+        INSERT INTO delivery_jobs (upload_id, status, attempts, next_attempt_at) 
+        SELECT id, 'queued', 0, ? FROM uploads 
+        WHERE (uploaded_to_drive = FALSE OR uploaded_to_drive IS NULL) 
+          AND (review_status IS NULL OR review_status = 'approved') 
+          AND (scan_status IS NULL OR scan_status != 'infected') 
+          AND id NOT IN (SELECT upload_id FROM delivery_jobs)
+      `, [new Date().toISOString()], function(err) {
+        if (err) {
+          console.error('Error backfilling delivery jobs:', err);
+        } else if (this.changes > 0) {
+          console.log(`Queued ${this.changes} undelivered uploads for Drive delivery`);
+        }
+      });
+    });
+
+    // Create webhook endpoints table (events is a JSON array of event types)
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        active BOOLEAN DEFAULT TRUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    // Create webhook deliveries table (the queue and the delivery log)
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL,
+        event_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at TEXT NOT NULL,
+        response_status INTEGER,
+        last_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (webhook_id) REFERENCES webhooks(id)
+      )
+    `, () => {
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)`, () => {});
+    });
+
     // Create QR code activities table
     this.db.run(`
       CREATE TABLE IF NOT EXISTS qr_activities (
@@ -98,6 +288,27 @@ class Database {
         access_token TEXT NOT NULL,
         refresh_token TEXT,
         expires_at DATETIME,
+        needs_reconnect BOOLEAN DEFAULT FALSE,
+        reconnect_reason TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    // Add reconnect tracking columns to existing Google Drive tokens table if they don't exist
+    this.db.run(`ALTER TABLE google_drive_tokens ADD COLUMN needs_reconnect BOOLEAN DEFAULT FALSE`, () => {});
+    this.db.run(`ALTER TABLE google_drive_tokens ADD COLUMN reconnect_reason TEXT`, () => {});
+
+    // Create delivery destinations table (users without a row deliver to Google Drive)
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS delivery_destinations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER UNIQUE NOT NULL,
+        type TEXT NOT NULL DEFAULT 'google_drive',
+        config TEXT,
+        needs_reconnect BOOLEAN DEFAULT FALSE,
+        reconnect_reason TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users(id)
@@ -119,6 +330,8 @@ class Database {
         is_trial BOOLEAN DEFAULT FALSE,
         features TEXT,
         active BOOLEAN DEFAULT TRUE,
+        allow_video BOOLEAN DEFAULT FALSE,
+        max_file_size_mb INTEGER DEFAULT 10,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `, (err) => {
@@ -129,6 +342,19 @@ class Database {
       }
     });
 
+    // Per-plan upload rules; existing installs get the default plans' values backfilled
+    this.db.run(`ALTER TABLE subscription_plans ADD COLUMN allow_video BOOLEAN DEFAULT FALSE`, (err) => {
+      if (!err) {
+        this.db.run(`UPDATE subscription_plans SET allow_video = TRUE WHERE name = 'Media Plan'`);
+      }
+    });
+    this.db.run(`ALTER TABLE subscription_plans ADD COLUMN max_file_size_mb INTEGER DEFAULT 10`, (err) => {
+      if (!err) {
+        this.db.run(`UPDATE subscription_plans SET max_file_size_mb = 25 WHERE name = 'Photo Plan'`);
+        this.db.run(`UPDATE subscription_plans SET max_file_size_mb = 2048 WHERE name = 'Media Plan'`);
+      }
+    });
+
     // Create user subscriptions table
     this.db.run(`
       CREATE TABLE IF NOT EXISTS user_subscriptions (
@@ -152,6 +378,22 @@ class Database {
       }
     });
 
+    // Set once the owner has been warned that the subscription period is about to end
+    this.db.run(`ALTER TABLE user_subscriptions ADD COLUMN expiry_warning_sent_at DATETIME`, () => {});
+
+    // Create notification preferences table (users without a row get the daily digest and expiry warnings)
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER UNIQUE NOT NULL,
+        upload_emails TEXT NOT NULL DEFAULT 'daily',
+        expiry_warnings BOOLEAN DEFAULT TRUE,
+        notified_until TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
     // Create usage tracking table
     this.db.run(`
       CREATE TABLE IF NOT EXISTS usage_tracking (
@@ -316,6 +558,33 @@ class Database {
     });
   }
 
+  async updateUserPassword(userId, password) {
+    return new Promise((resolve, reject) => {
+      const hashedPassword = bcrypt.hashSync(password, 10);
+      this.db.run(
+        'UPDATE users SET password = ? WHERE id = ?',
+        [hashedPassword, userId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  async markEmailVerified(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE users SET email_verified = TRUE, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = ?`,
+        [userId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
   async validateUser(email, password) {
     return new Promise((resolve, reject) => {
       this.db.get('SELECT * FROM users WHERE email = ?', [email], (err, user) => {
@@ -347,6 +616,19 @@ class Database {
     });
   }
 
+  async updateDriveFolderName(userId, folderName) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE users SET drive_folder_name = ? WHERE id = ?',
+        [folderName, userId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
   // Token management
   async createToken(userId, token, expiresAt, eventName = 'Photo Collection') {
     return new Promise((resolve, reject) => {
@@ -377,6 +659,33 @@ class Database {
     });
   }
 
+  async getTokenByGalleryToken(galleryToken) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM upload_tokens WHERE gallery_token = ?',
+        [galleryToken],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+  }
+
+  // Pass null to revoke the view-only link
+  async updateTokenGalleryToken(tokenId, galleryToken) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE upload_tokens SET gallery_token = ? WHERE id = ?',
+        [galleryToken, tokenId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
   async getUserTokens(userId) {
     return new Promise((resolve, reject) => {
       this.db.all(
@@ -479,6 +788,57 @@ class Database {
     });
   }
 
+  async updateTokenSettings(tokenId, settings) {
+    return new Promise((resolve, reject) => {
+      // Only owner-editable per-token options; maps API names to columns
+      const columns = {
+        organizeByGuest: 'organize_by_guest',
+        maxUploads: 'max_uploads',
+        convertHeic: 'convert_heic',
+        stripMetadata: 'strip_metadata',
+        moderateUploads: 'moderate_uploads',
+        publicGallery: 'public_gallery'
+      };
+      
+      const fields = [];
+      const values = [];
+      
+      for (const [key, column] of Object.entries(columns)) {
+        if (settings[key] !== undefined) {
+          fields.push(`${column} = ?`);
+          values.push(settings[key]);
+        }
+      }
+      
+      if (fields.length === 0) {
+        return resolve(0);
+      }
+      
+      values.push(tokenId);
+      this.db.run(
+        `UPDATE upload_tokens SET ${fields.join(', ')} WHERE id = ?`,
+        values,
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  async updateTokenDriveFolders(tokenId, driveFolderId, guestFolders = {}) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE upload_tokens SET drive_folder_id = ?, drive_guest_folders = ? WHERE id = ?',
+        [driveFolderId, JSON.stringify(guestFolders), tokenId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
   async incrementTokenAccess(tokenId) {
     return new Promise((resolve, reject) => {
       this.db.run(
@@ -591,13 +951,13 @@ class Database {
   }
 
   // Upload management
-  async createUpload(tokenId, originalName, filename, size, mimetype) {
+  async createUpload(tokenId, originalName, filename, size, mimetype, guestName = 'Anonymous', guestMessage = '') {
     return new Promise((resolve, reject) => {
       this.db.run(
         `INSERT INTO uploads 
-         (token_id, original_name, filename, size, mimetype, uploaded_to_bucket) 
-         VALUES (?, ?, ?, ?, ?, TRUE)`,
-        [tokenId, originalName, filename, size, mimetype],
+         (token_id, original_name, filename, size, mimetype, uploader_name, guest_message, uploaded_to_bucket) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, TRUE)`,
+        [tokenId, originalName, filename, size, mimetype, guestName, guestMessage || null],
         function(err) {
           if (err) reject(err);
           else resolve(this.lastID);
@@ -617,21 +977,24 @@ class Database {
         [userId],
         (err, rows) => {
           if (err) reject(err);
-          else resolve(rows);
+          else resolve(rows.map(row => ({
+            ...row,
+            previews: row.previews ? JSON.parse(row.previews) : null
+          })));
         }
       );
     });
   }
 
-  async getPendingUploads(userId) {
+  async getUploadsByToken(token) {
     return new Promise((resolve, reject) => {
       this.db.all(
         `SELECT u.*, t.token 
          FROM uploads u 
          JOIN upload_tokens t ON u.token_id = t.id 
-         WHERE t.user_id = ? AND u.uploaded_to_drive = FALSE 
+         WHERE t.token = ? 
          ORDER BY u.uploaded_at DESC`,
-        [userId],
+        [token],
         (err, rows) => {
           if (err) reject(err);
           else resolve(rows);
@@ -640,6 +1003,29 @@ class Database {
     });
   }
 
+  // Pending Drive deliveries; omit userId to get every user's (used by the worker)
+  async getPendingUploads(userId = null) {
+    return new Promise((resolve, reject) => {
+      const userFilter = userId ? 'AND t.user_id = ?' : '';
+      this.db.all(
+        `SELECT u.*, t.token, t.user_id, t.event_name, 
+                t.organize_by_guest, t.drive_folder_id, t.drive_guest_folders 
+         FROM uploads u 
+         JOIN upload_tokens t ON u.token_id = t.id 
+         WHERE u.uploaded_to_drive = FALSE ${userFilter} 
+         ORDER BY u.uploaded_at ASC`,
+        userId ? [userId] : [],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(row => ({
+            ...row,
+            drive_guest_folders: row.drive_guest_folders ? JSON.parse(row.drive_guest_folders) : {}
+          })));
+        }
+      );
+    });
+  }
+
   async markUploadToDrive(uploadId) {
     return new Promise((resolve, reject) => {
       this.db.run(
@@ -653,98 +1039,798 @@ class Database {
     });
   }
 
-  async getUserStats(userId) {
+  async updateUploadMediaInfo(uploadId, mediaInfo) {
     return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT 
-          COUNT(DISTINCT t.id) as total_tokens,
-          COUNT(DISTINCT u.id) as total_uploads,
-          COUNT(CASE WHEN u.uploaded_to_drive = FALSE THEN 1 END) as pending_uploads,
-          COALESCE(SUM(u.size), 0) as total_storage_used
-         FROM upload_tokens t
-         LEFT JOIN uploads u ON t.id = u.token_id
-         WHERE t.user_id = ?`,
-        [userId],
-        (err, rows) => {
+      // Video duration/resolution or photo EXIF details; maps field names to columns
+      const columns = {
+        duration: 'duration',
+        width: 'width',
+        height: 'height',
+        takenAt: 'taken_at',
+        cameraMake: 'camera_make',
+        cameraModel: 'camera_model',
+        metadataStripped: 'metadata_stripped'
+      };
+      
+      const fields = [];
+      const values = [];
+      
+      for (const [key, column] of Object.entries(columns)) {
+        if (mediaInfo[key] !== undefined) {
+          fields.push(`${column} = ?`);
+          values.push(mediaInfo[key]);
+        }
+      }
+      
+      if (fields.length === 0) {
+        return resolve(0);
+      }
+      
+      values.push(uploadId);
+      this.db.run(
+        `UPDATE uploads SET ${fields.join(', ')} WHERE id = ?`,
+        values,
+        function(err) {
           if (err) reject(err);
-          else resolve(rows[0] || { total_tokens: 0, total_uploads: 0, pending_uploads: 0, total_storage_used: 0 });
+          else resolve(this.changes);
         }
       );
     });
   }
 
-  // QR Code Activity Tracking
-  async trackQRActivity(tokenId, activityType, metadata = {}) {
+  async updateUploadPreviews(uploadId, previews) {
     return new Promise((resolve, reject) => {
-      const { ipAddress, userAgent, guestName } = metadata;
       this.db.run(
-        `INSERT INTO qr_activities (token_id, activity_type, ip_address, user_agent, guest_name) 
-         VALUES (?, ?, ?, ?, ?)`,
-        [tokenId, activityType, ipAddress || null, userAgent || null, guestName || null],
+        'UPDATE uploads SET previews = ? WHERE id = ?',
+        [JSON.stringify(previews), uploadId],
         function(err) {
           if (err) reject(err);
-          else resolve(this.lastID);
+          else resolve(this.changes);
         }
       );
     });
   }
 
-  async getQRActivities(userId, limit = 50) {
+  async updateUploadSource(uploadId, sourceFilename, sourceMimetype) {
     return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT 
-          qa.id,
-          qa.activity_type,
-          qa.guest_name,
-          qa.created_at,
-          t.token,
-          t.event_name,
-          t.created_at as token_created_at,
-          COUNT(u.id) as upload_count
-         FROM qr_activities qa
-         JOIN upload_tokens t ON qa.token_id = t.id
-         LEFT JOIN uploads u ON t.id = u.token_id
-         WHERE t.user_id = ?
-         GROUP BY qa.id
-         ORDER BY qa.created_at DESC
-         LIMIT ?`,
-        [userId, limit],
-        (err, rows) => {
+      this.db.run(
+        'UPDATE uploads SET source_filename = ?, source_mimetype = ? WHERE id = ?',
+        [sourceFilename, sourceMimetype, uploadId],
+        function(err) {
           if (err) reject(err);
-          else resolve(rows || []);
+          else resolve(this.changes);
         }
       );
     });
   }
 
-  async getQRStatsByToken(tokenId) {
+  async updateUploadHashes(uploadId, { contentHash, perceptualHash, nearDuplicateOf }) {
     return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT 
-          activity_type,
-          COUNT(*) as count,
-          MAX(created_at) as last_activity
-         FROM qr_activities 
-         WHERE token_id = ?
-         GROUP BY activity_type
-         ORDER BY count DESC`,
-        [tokenId],
-        (err, rows) => {
+      this.db.run(
+        'UPDATE uploads SET content_hash = ?, perceptual_hash = ?, near_duplicate_of = ? WHERE id = ?',
+        [contentHash || null, perceptualHash || null, nearDuplicateOf || null, uploadId],
+        function(err) {
           if (err) reject(err);
-          else resolve(rows || []);
+          else resolve(this.changes);
         }
       );
     });
   }
 
-  // Subscription Plans Management
-  initializeDefaultPlans() {
-    // Check if plans already exist to avoid duplicates
-    this.db.get('SELECT COUNT(*) as count FROM subscription_plans', [], (err, result) => {
-      if (err || result.count > 0) {
-        console.log('Subscription plans already initialized');
-        return;
-      }
+  // An earlier upload of the exact same file to this token, if any
+  async findUploadByContentHash(tokenId, contentHash) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM uploads WHERE token_id = ? AND content_hash = ? ORDER BY id ASC LIMIT 1',
+        [tokenId, contentHash],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+  }
+
+  async getUploadPerceptualHashes(tokenId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT id, perceptual_hash FROM uploads WHERE token_id = ? AND perceptual_hash IS NOT NULL ORDER BY id ASC',
+        [tokenId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  }
+
+  // Removes the upload row with its delivery job; files are the caller's to clean up
+  async deleteUpload(uploadId) {
+    const database = this.db;
+    
+    return new Promise((resolve, reject) => {
+      database.serialize(() => {
+        database.run('DELETE FROM delivery_jobs WHERE upload_id = ?', [uploadId]);
+        database.run('UPDATE uploads SET near_duplicate_of = NULL WHERE near_duplicate_of = ?', [uploadId]);
+        database.run('DELETE FROM uploads WHERE id = ?', [uploadId], function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        });
+      });
+    });
+  }
+
+  // One entry per guest message (a guest's batch shares its message), oldest first; rejected uploads are left out
+  async getGuestbook(tokenId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT uploader_name AS guest_name, guest_message AS message, 
+                COUNT(*) AS upload_count, MIN(uploaded_at) AS first_upload_at 
+         FROM uploads 
+         WHERE token_id = ? AND guest_message IS NOT NULL AND guest_message != '' 
+           AND (review_status IS NULL OR review_status != 'rejected') 
+         GROUP BY uploader_name, guest_message 
+         ORDER BY first_upload_at ASC`,
+        [tokenId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  }
+
+  // Gallery page, most recently visible first (approval time for moderated uploads)
+  async getGalleryUploads(tokenId, limit, offset) {
+    const database = this.db;
+    
+    return new Promise((resolve, reject) => {
+      database.get(
+        `SELECT COUNT(*) AS total FROM uploads WHERE token_id = ? AND ${GALLERY_VISIBLE}`,
+        [tokenId],
+        (err, count) => {
+          if (err) return reject(err);
+          
+          database.all(
+            `SELECT id, uploader_name, previews, uploaded_at, taken_at, 
+                    COALESCE(reviewed_at, uploaded_at) AS visible_at 
+             FROM uploads 
+             WHERE token_id = ? AND ${GALLERY_VISIBLE} 
+             ORDER BY visible_at DESC, id DESC 
+             LIMIT ? OFFSET ?`,
+            [tokenId, limit, offset],
+            (err, rows) => {
+              if (err) reject(err);
+              else resolve({
+                total: count.total,
+                uploads: rows.map(row => ({ ...row, previews: JSON.parse(row.previews) }))
+              });
+            }
+          );
+        }
+      );
+    });
+  }
+
+  // Slideshow feed, oldest first after the { visibleAt, id } cursor; without one, the latest uploads
+  async getSlideshowUploads(tokenId, after, limit) {
+    return new Promise((resolve, reject) => {
+      const visibleAt = 'COALESCE(reviewed_at, uploaded_at)';
+      const query = after ?
+        `SELECT * FROM (
+           SELECT id, uploader_name, previews, uploaded_at, taken_at, ${visibleAt} AS visible_at 
+           FROM uploads 
+           WHERE token_id = ? AND ${GALLERY_VISIBLE} 
+             AND (${visibleAt} > ? OR (${visibleAt} = ? AND id > ?)) 
+           ORDER BY visible_at ASC, id ASC 
+           LIMIT ?
+         )` :
+        `SELECT * FROM (
+           SELECT id, uploader_name, previews, uploaded_at, taken_at, ${visibleAt} AS visible_at 
+           FROM uploads 
+           WHERE token_id = ? AND ${GALLERY_VISIBLE} 
+           ORDER BY visible_at DESC, id DESC 
+           LIMIT ?
+         ) ORDER BY visible_at ASC, id ASC`;
+      const params = after ?
+        [tokenId, after.visibleAt, after.visibleAt, after.id, limit] :
+        [tokenId, limit];
+      
+      this.db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(row => ({ ...row, previews: JSON.parse(row.previews) })));
+      });
+    });
+  }
+
+  async getUploadIdsByTokenId(tokenId) {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT id FROM uploads WHERE token_id = ? ORDER BY id ASC', [tokenId], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(row => row.id));
+      });
+    });
+  }
+
+  // With fromStatus, only moves uploads still in that state; resolves to the number changed
+  async updateUploadReviewStatus(uploadId, status, fromStatus = null) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE uploads 
+         SET review_status = ?, reviewed_at = CASE WHEN ? = 'pending_review' THEN NULL ELSE CURRENT_TIMESTAMP END 
+         WHERE id = ? ${fromStatus ? 'AND review_status = ?' : ''}`,
+        fromStatus ? [status, status, uploadId, fromStatus] : [status, status, uploadId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  async getPendingReviewUploads(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT u.*, t.token, t.event_name 
+         FROM uploads u 
+         JOIN upload_tokens t ON u.token_id = t.id 
+         WHERE t.user_id = ? AND u.review_status = 'pending_review' 
+         ORDER BY u.uploaded_at ASC`,
+        [userId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(row => ({
+            ...row,
+            previews: row.previews ? JSON.parse(row.previews) : null
+          })));
+        }
+      );
+    });
+  }
+
+  async updateUploadScanResult(uploadId, status, signature = null) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE uploads SET scan_status = ?, scan_signature = ?, scanned_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [status, signature, uploadId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  async getUploadById(uploadId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT u.*, t.token, t.user_id, t.event_name 
+         FROM uploads u 
+         JOIN upload_tokens t ON u.token_id = t.id 
+         WHERE u.id = ?`,
+        [uploadId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row ? { ...row, previews: row.previews ? JSON.parse(row.previews) : null } : row);
+        }
+      );
+    });
+  }
+
+  // Resumable upload sessions
+  async createUploadSession(session) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO upload_sessions 
+         (id, token_id, original_name, mimetype, size, guest_name, guest_message, received_ranges, expires_at, quota_reserved, client_ip) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, '[]', ?, ?, ?)`,
+        [session.id, session.tokenId, session.originalName, session.mimetype, session.size, session.guestName, session.guestMessage || null, session.expiresAt.toISOString(), !!session.quotaReserved, session.clientIp || null],
+        function(err) {
+          if (err) reject(err);
+          else resolve(session.id);
+        }
+      );
+    });
+  }
+
+  async getUploadSession(sessionId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT s.*, t.token, t.user_id 
+         FROM upload_sessions s 
+         JOIN upload_tokens t ON s.token_id = t.id 
+         WHERE s.id = ?`,
+        [sessionId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row ? { ...row, received_ranges: JSON.parse(row.received_ranges || '[]') } : null);
+        }
+      );
+    });
+  }
+
+  async updateUploadSessionProgress(sessionId, receivedRanges, receivedBytes) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE upload_sessions 
+         SET received_ranges = ?, received_bytes = ?, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = ?`,
+        [JSON.stringify(receivedRanges), receivedBytes, sessionId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  async completeUploadSession(sessionId, uploadId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE upload_sessions 
+         SET status = 'completed', upload_id = ?, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = ?`,
+        [uploadId, sessionId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  async deleteUploadSession(sessionId) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM upload_sessions WHERE id = ?', [sessionId], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  async countOpenUploadSessions(tokenId, clientIp) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT COUNT(*) AS count FROM upload_sessions 
+         WHERE token_id = ? AND client_ip = ? AND status = 'active' AND expires_at > ?`,
+        [tokenId, clientIp, new Date().toISOString()],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row.count);
+        }
+      );
+    });
+  }
+
+  async getExpiredUploadSessions() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM upload_sessions WHERE expires_at <= ?',
+        [new Date().toISOString()],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  }
+
+  // Delivery job queue
+  // Queues (or re-queues with a fresh attempt budget) the Drive delivery of an upload
+  async enqueueDeliveryJob(uploadId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO delivery_jobs (upload_id, status, attempts, next_attempt_at) 
+         VALUES (?, 'queued', 0, ?) 
+         ON CONFLICT(upload_id) DO UPDATE SET 
+           status = 'queued', 
+           attempts = 0, 
+           next_attempt_at = excluded.next_attempt_at, 
+           last_error = NULL, 
+           updated_at = CURRENT_TIMESTAMP`,
+        [uploadId, new Date().toISOString()],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  async getDueDeliveryJobs(limit = 100) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT u.*, t.token, t.user_id, t.event_name, 
+                t.organize_by_guest, t.drive_folder_id, t.drive_guest_folders, 
+                j.id AS job_id, j.attempts 
+         FROM delivery_jobs j 
+         JOIN uploads u ON j.upload_id = u.id 
+         JOIN upload_tokens t ON u.token_id = t.id 
+         WHERE j.status = 'queued' AND j.next_attempt_at <= ? 
+         ORDER BY j.next_attempt_at ASC 
+         LIMIT ?`,
+        [new Date().toISOString(), limit],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(row => ({
+            ...row,
+            drive_guest_folders: row.drive_guest_folders ? JSON.parse(row.drive_guest_folders) : {}
+          })));
+        }
+      );
+    });
+  }
+
+  async completeDeliveryJob(jobId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE delivery_jobs 
+         SET status = 'completed', last_error = NULL, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = ?`,
+        [jobId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  // Malware found: the job is finished without delivery and never picked up again
+  async blockDeliveryJob(jobId, reason) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE delivery_jobs 
+         SET status = 'blocked', last_error = ?, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = ?`,
+        [reason, jobId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  // Records a failed attempt; a null nextAttemptAt moves the job to the dead-letter state
+  async failDeliveryJob(jobId, errorMessage, nextAttemptAt) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE delivery_jobs 
+         SET attempts = attempts + 1, 
+             status = ?, 
+             next_attempt_at = COALESCE(?, next_attempt_at), 
+             last_error = ?, 
+             updated_at = CURRENT_TIMESTAMP 
+         WHERE id = ?`,
+        [nextAttemptAt ? 'queued' : 'dead', nextAttemptAt ? nextAttemptAt.toISOString() : null, errorMessage, jobId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  // Dead-lettered and blocked jobs, plus queued jobs that have already failed at least once
+  async getFailedDeliveryJobs(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT u.*, t.token, t.event_name, 
+                j.id AS job_id, j.status AS job_status, j.attempts, j.next_attempt_at, j.last_error, j.updated_at AS last_attempt_at 
+         FROM delivery_jobs j 
+         JOIN uploads u ON j.upload_id = u.id 
+         JOIN upload_tokens t ON u.token_id = t.id 
+         WHERE t.user_id = ? AND (j.status IN ('dead', 'blocked') OR (j.status = 'queued' AND j.attempts > 0)) 
+         ORDER BY j.updated_at DESC`,
+        [userId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  }
+
+  // Webhook endpoints
+  async createWebhook(userId, url, secret, events) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'INSERT INTO webhooks (user_id, url, secret, events) VALUES (?, ?, ?, ?)',
+        [userId, url, secret, JSON.stringify(events)],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+  }
+
+  parseWebhook(row) {
+    return row ? { ...row, events: JSON.parse(row.events), active: !!row.active } : row;
+  }
+
+  async getWebhooks(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM webhooks WHERE user_id = ? ORDER BY created_at DESC',
+        [userId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(row => this.parseWebhook(row)));
+        }
+      );
+    });
+  }
+
+  async getWebhookById(webhookId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM webhooks WHERE id = ?',
+        [webhookId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(this.parseWebhook(row));
+        }
+      );
+    });
+  }
+
+  async getActiveWebhooksForEvent(userId, eventType) {
+    const webhooks = await this.getWebhooks(userId);
+    return webhooks.filter(webhook => webhook.active && webhook.events.includes(eventType));
+  }
+
+  async updateWebhook(webhookId, { url, events, active }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE webhooks 
+         SET url = ?, events = ?, active = ?, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = ?`,
+        [url, JSON.stringify(events), active ? 1 : 0, webhookId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  async deleteWebhook(webhookId) {
+    const database = this.db;
+    return new Promise((resolve, reject) => {
+      database.serialize(() => {
+        database.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [webhookId]);
+        database.run('DELETE FROM webhooks WHERE id = ?', [webhookId], function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        });
+      });
+    });
+  }
+
+  // Webhook delivery queue and log
+  async createWebhookDelivery(webhookId, eventId, eventType, payload) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, next_attempt_at) 
+         VALUES (?, ?, ?, ?, ?)`,
+        [webhookId, eventId, eventType, payload, new Date().toISOString()],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+  }
+
+  async getDueWebhookDeliveries(limit = 100) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT d.*, w.url, w.secret 
+         FROM webhook_deliveries d 
+         JOIN webhooks w ON d.webhook_id = w.id 
+         WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.active = TRUE 
+         ORDER BY d.next_attempt_at ASC 
+         LIMIT ?`,
+        [new Date().toISOString(), limit],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  }
+
+  async completeWebhookDelivery(deliveryId, responseStatus) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE webhook_deliveries 
+         SET status = 'delivered', attempts = attempts + 1, response_status = ?, last_error = NULL, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = ?`,
+        [responseStatus, deliveryId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  // Records a failed attempt; a null nextAttemptAt gives up on the delivery
+  async failWebhookDelivery(deliveryId, responseStatus, errorMessage, nextAttemptAt) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE webhook_deliveries 
+         SET attempts = attempts + 1, 
+             status = ?, 
+             next_attempt_at = COALESCE(?, next_attempt_at), 
+             response_status = ?, 
+             last_error = ?, 
+             updated_at = CURRENT_TIMESTAMP 
+         WHERE id = ?`,
+        [nextAttemptAt ? 'pending' : 'failed', nextAttemptAt ? nextAttemptAt.toISOString() : null, responseStatus, errorMessage, deliveryId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  async getWebhookDeliveries(webhookId, limit = 50) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT id, event_id, event_type, payload, status, attempts, next_attempt_at, response_status, last_error, created_at, updated_at 
+         FROM webhook_deliveries 
+         WHERE webhook_id = ? 
+         ORDER BY id DESC 
+         LIMIT ?`,
+        [webhookId, limit],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(row => ({ ...row, payload: JSON.parse(row.payload) })));
+        }
+      );
+    });
+  }
+
+  async hasRecentWebhookDelivery(webhookId, eventType, since) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT id FROM webhook_deliveries 
+         WHERE webhook_id = ? AND event_type = ? AND created_at >= datetime(?) 
+         LIMIT 1`,
+        [webhookId, eventType, since.toISOString()],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(!!row);
+        }
+      );
+    });
+  }
+
+  // Tokens that expired after `since` and haven't had their token.expired webhook queued
+  async getNewlyExpiredTokens(since) {
+    return new Promise((resolve, reject) => {
+      // expires_at is stored as epoch milliseconds (sqlite3 binds Date objects as numbers)
+      this.db.all(
+        `SELECT * FROM upload_tokens 
+         WHERE expired_notified_at IS NULL AND expires_at IS NOT NULL AND expires_at <= ? AND expires_at > ?`,
+        [Date.now(), since.getTime()],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  }
+
+  async markTokenExpiryNotified(tokenId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE upload_tokens SET expired_notified_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [tokenId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  async getUserStats(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT 
+          COUNT(DISTINCT t.id) as total_tokens,
+          COUNT(DISTINCT u.id) as total_uploads,
+          COUNT(CASE WHEN u.uploaded_to_drive = FALSE THEN 1 END) as pending_uploads,
+          COALESCE(SUM(u.size), 0) as total_storage_used
+         FROM upload_tokens t
+         LEFT JOIN uploads u ON t.id = u.token_id
+         WHERE t.user_id = ?`,
+        [userId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows[0] || { total_tokens: 0, total_uploads: 0, pending_uploads: 0, total_storage_used: 0 });
+        }
+      );
+    });
+  }
+
+  // QR Code Activity Tracking
+  async trackQRActivity(tokenId, activityType, metadata = {}) {
+    return new Promise((resolve, reject) => {
+      const { ipAddress, userAgent, guestName } = metadata;
+      this.db.run(
+        `INSERT INTO qr_activities (token_id, activity_type, ip_address, user_agent, guest_name) 
+         VALUES (?, ?, ?, ?, ?)`,
+        [tokenId, activityType, ipAddress || null, userAgent || null, guestName || null],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+  }
+
+  async getQRActivities(userId, limit = 50) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT 
+          qa.id,
+          qa.activity_type,
+          qa.guest_name,
+          qa.created_at,
+          t.token,
+          t.event_name,
+          t.created_at as token_created_at,
+          COUNT(u.id) as upload_count
+         FROM qr_activities qa
+         JOIN upload_tokens t ON qa.token_id = t.id
+         LEFT JOIN uploads u ON t.id = u.token_id
+         WHERE t.user_id = ?
+         GROUP BY qa.id
+         ORDER BY qa.created_at DESC
+         LIMIT ?`,
+        [userId, limit],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  async getQRStatsByToken(tokenId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT 
+          activity_type,
+          COUNT(*) as count,
+          MAX(created_at) as last_activity
+         FROM qr_activities 
+         WHERE token_id = ?
+         GROUP BY activity_type
+         ORDER BY count DESC`,
+        [tokenId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  // Subscription Plans Management
+  initializeDefaultPlans() {
+    // Check if plans already exist to avoid duplicates
+    this.db.get('SELECT COUNT(*) as count FROM subscription_plans', [], (err, result) => {
+      if (err || result.count > 0) {
+        console.log('Subscription plans already initialized');
+        return;
+      }
 
       const defaultPlans = [
         {
@@ -755,6 +1841,8 @@ class Database {
           max_files: 10,
           validity_days: 7,
           is_trial: true,
+          allow_video: false,
+          max_file_size_mb: 10,
           features: JSON.stringify(['10 photo uploads', '7 days access', 'GCP to Google Drive'])
         },
         {
@@ -765,6 +1853,8 @@ class Database {
           max_files: null,
           validity_days: 30,
           is_trial: false,
+          allow_video: false,
+          max_file_size_mb: 25,
           features: JSON.stringify(['5GB storage', '30 days access', 'Photos only', 'GCP to Google Drive'])
         },
         {
@@ -775,6 +1865,8 @@ class Database {
           max_files: null,
           validity_days: 180,
           is_trial: false,
+          allow_video: true,
+          max_file_size_mb: 2048,
           features: JSON.stringify(['15GB storage', '180 days access', 'Photos & Videos', 'GCP to Google Drive', 'Priority support'])
         }
       ];
@@ -782,9 +1874,9 @@ class Database {
       defaultPlans.forEach(plan => {
         this.db.run(
           `INSERT INTO subscription_plans 
-           (name, description, price, max_storage_gb, max_files, validity_days, is_trial, features) 
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-          [plan.name, plan.description, plan.price, plan.max_storage_gb, plan.max_files, plan.validity_days, plan.is_trial, plan.features],
+           (name, description, price, max_storage_gb, max_files, validity_days, is_trial, allow_video, max_file_size_mb, features) 
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [plan.name, plan.description, plan.price, plan.max_storage_gb, plan.max_files, plan.validity_days, plan.is_trial, plan.allow_video, plan.max_file_size_mb, plan.features],
           function(err) {
             if (err) {
               console.error('Error creating plan:', plan.name, err.message);
@@ -838,6 +1930,7 @@ class Database {
 
   // User Subscription Management
   async createUserSubscription(userId, planId, stripeSubscriptionId = null) {
+    const database = this.db;
     return new Promise((resolve, reject) => {
       // First get plan details to set period
       this.getSubscriptionPlan(planId).then(plan => {
@@ -871,13 +1964,10 @@ class Database {
                   reject(err);
                 } else {
                   const subscriptionId = this.lastID;
-                  // Create initial usage tracking - need to bind this context properly
-                  const db = this; // Keep reference to database
                   resolve(subscriptionId); // Resolve immediately, create usage tracking separately
                   
-                  // Create usage tracking asynchronously
-                  const usageDb = db.db || db; // Handle context properly
-                  usageDb.run(
+                  // Create usage tracking asynchronously (`this` here is the statement, not the database)
+                  database.run(
                     `INSERT INTO usage_tracking 
                      (user_id, subscription_id, period_start, period_end)
                      VALUES (?, ?, ?, ?)`,
@@ -900,7 +1990,8 @@ class Database {
   async getUserSubscription(userId) {
     return new Promise((resolve, reject) => {
       this.db.get(
-        `SELECT us.*, sp.name, sp.description, sp.price, sp.max_storage_gb, sp.max_files, sp.validity_days, sp.is_trial, sp.features
+        `SELECT us.*, sp.name, sp.description, sp.price, sp.max_storage_gb, sp.max_files, sp.validity_days, sp.is_trial, sp.features,
+                sp.allow_video, sp.max_file_size_mb
          FROM user_subscriptions us
          JOIN subscription_plans sp ON us.plan_id = sp.id
          WHERE us.user_id = ? AND us.status = 'active'
@@ -1016,14 +2107,108 @@ class Database {
     });
   }
 
+  // Atomically count files against the active subscription's quota; the UPDATE only
+  // matches while the new totals fit, so concurrent uploads can't overshoot the limits
+  async reserveUsage(userId, fileCount, totalSize) {
+    const subscription = await this.getUserSubscription(userId);
+    if (!subscription) {
+      return { allowed: false, reason: 'No active subscription' };
+    }
+
+    if (subscription.current_period_end && new Date() > new Date(subscription.current_period_end)) {
+      return { allowed: false, reason: 'Subscription expired' };
+    }
+
+    const sizeGB = totalSize / (1024 * 1024 * 1024);
+
+    return new Promise((resolve, reject) => {
+      // Subscriptions created before usage tracking worked may have no row yet
+      this.db.run(
+        `INSERT INTO usage_tracking (user_id, subscription_id, period_start, period_end)
+         SELECT ?, ?, ?, ?
+         WHERE NOT EXISTS (SELECT 1 FROM usage_tracking WHERE user_id = ? AND subscription_id = ?)`,
+        [userId, subscription.id, subscription.current_period_start, subscription.current_period_end, userId, subscription.id],
+        (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+
+          const db = this.db;
+          db.run(
+            `UPDATE usage_tracking 
+             SET file_count = file_count + ?, 
+                 storage_used_gb = storage_used_gb + ?, 
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE user_id = ? AND subscription_id = ?
+               AND (? IS NULL OR file_count + ? <= ?)
+               AND storage_used_gb + ? <= ?`,
+            [fileCount, sizeGB, userId, subscription.id,
+             subscription.max_files, fileCount, subscription.max_files,
+             sizeGB, subscription.max_storage_gb],
+            function(err) {
+              if (err) {
+                reject(err);
+                return;
+              }
+
+              if (this.changes === 1) {
+                resolve({ allowed: true });
+                return;
+              }
+
+              db.get(
+                'SELECT file_count FROM usage_tracking WHERE user_id = ? AND subscription_id = ?',
+                [userId, subscription.id],
+                (err, usage) => {
+                  if (err) reject(err);
+                  else if (subscription.max_files && usage.file_count + fileCount > subscription.max_files) {
+                    resolve({ allowed: false, reason: `File limit exceeded (${subscription.max_files} files)` });
+                  } else {
+                    resolve({ allowed: false, reason: `Storage limit exceeded (${subscription.max_storage_gb}GB)` });
+                  }
+                }
+              );
+            }
+          );
+        }
+      );
+    });
+  }
+
+  // Give back usage reserved for files that were never stored
+  async releaseUsage(userId, fileCount, totalSize) {
+    const subscription = await this.getUserSubscription(userId);
+    if (!subscription) {
+      return 0;
+    }
+
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE usage_tracking 
+         SET file_count = MAX(file_count - ?, 0), 
+             storage_used_gb = MAX(storage_used_gb - ?, 0), 
+             updated_at = CURRENT_TIMESTAMP
+         WHERE user_id = ? AND subscription_id = ?`,
+        [fileCount, totalSize / (1024 * 1024 * 1024), userId, subscription.id],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
   // Google Drive Token Management
   async saveGoogleDriveTokens(userId, accessToken, refreshToken, expiresAt) {
     return new Promise((resolve, reject) => {
+      // Google only returns a refresh token on first consent, so keep the stored one when absent.
+      // Replacing the row also clears any pending reconnect flag.
       this.db.run(
         `INSERT OR REPLACE INTO google_drive_tokens 
-         (user_id, access_token, refresh_token, expires_at, updated_at) 
-         VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-        [userId, accessToken, refreshToken, expiresAt],
+         (user_id, access_token, refresh_token, expires_at, needs_reconnect, reconnect_reason, updated_at) 
+         VALUES (?, ?, COALESCE(?, (SELECT refresh_token FROM google_drive_tokens WHERE user_id = ?)), ?, FALSE, NULL, CURRENT_TIMESTAMP)`,
+        [userId, accessToken, refreshToken || null, userId, expiresAt],
         function(err) {
           if (err) reject(err);
           else resolve(this.lastID);
@@ -1060,6 +2245,217 @@ class Database {
     });
   }
 
+  async markGoogleDriveReconnectRequired(userId, reason) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE google_drive_tokens 
+         SET needs_reconnect = TRUE, reconnect_reason = ?, updated_at = CURRENT_TIMESTAMP 
+         WHERE user_id = ?`,
+        [reason, userId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes > 0);
+        }
+      );
+    });
+  }
+
+  // Delivery Destination Management
+  async getDeliveryDestination(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM delivery_destinations WHERE user_id = ?',
+        [userId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row ? { ...row, config: row.config ? JSON.parse(row.config) : {} } : null);
+        }
+      );
+    });
+  }
+
+  async saveDeliveryDestination(userId, type, config) {
+    return new Promise((resolve, reject) => {
+      // Replacing the row also clears any pending reconnect flag
+      this.db.run(
+        `INSERT OR REPLACE INTO delivery_destinations 
+         (user_id, type, config, needs_reconnect, reconnect_reason, updated_at) 
+         VALUES (?, ?, ?, FALSE, NULL, CURRENT_TIMESTAMP)`,
+        [userId, type, JSON.stringify(config || {})],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+  }
+
+  async markDeliveryDestinationReconnectRequired(userId, reason) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE delivery_destinations 
+         SET needs_reconnect = TRUE, reconnect_reason = ?, updated_at = CURRENT_TIMESTAMP 
+         WHERE user_id = ?`,
+        [reason, userId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes > 0);
+        }
+      );
+    });
+  }
+
+  // Email notifications
+  async getNotificationPreferences(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM notification_preferences WHERE user_id = ?',
+        [userId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row ?
+            { ...row, expiry_warnings: !!row.expiry_warnings } :
+            { user_id: userId, upload_emails: 'daily', expiry_warnings: true, notified_until: null });
+        }
+      );
+    });
+  }
+
+  // Changing the upload email frequency restarts it from now rather than mailing the backlog
+  async saveNotificationPreferences(userId, { uploadEmails, expiryWarnings }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO notification_preferences (user_id, upload_emails, expiry_warnings, notified_until) 
+         VALUES (?, ?, ?, ?) 
+         ON CONFLICT(user_id) DO UPDATE SET 
+           notified_until = CASE WHEN notification_preferences.upload_emails = excluded.upload_emails 
+             THEN notification_preferences.notified_until ELSE excluded.notified_until END, 
+           upload_emails = excluded.upload_emails, 
+           expiry_warnings = excluded.expiry_warnings, 
+           updated_at = CURRENT_TIMESTAMP`,
+        [userId, uploadEmails, expiryWarnings ? 1 : 0, new Date().toISOString()],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  async getUploadNotificationRecipients(frequency) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT u.id AS user_id, u.email, u.name, p.notified_until 
+         FROM users u 
+         LEFT JOIN notification_preferences p ON p.user_id = u.id 
+         WHERE COALESCE(p.upload_emails, 'daily') = ?`,
+        [frequency],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  }
+
+  // Uploads to the user's tokens in (since, until], oldest first; rejected uploads are left out
+  async getUploadsForNotification(userId, since, until) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT u.id, u.token_id, t.event_name, u.original_name, u.uploader_name, u.guest_message, 
+                u.size, u.mimetype, u.review_status, u.uploaded_at 
+         FROM uploads u 
+         JOIN upload_tokens t ON u.token_id = t.id 
+         WHERE t.user_id = ? AND u.uploaded_at > datetime(?) AND u.uploaded_at <= datetime(?) 
+           AND (u.review_status IS NULL OR u.review_status != 'rejected') 
+         ORDER BY u.uploaded_at ASC, u.id ASC`,
+        [userId, since.toISOString(), until.toISOString()],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  }
+
+  async markUploadNotificationsSent(userId, until) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO notification_preferences (user_id, notified_until) VALUES (?, ?) 
+         ON CONFLICT(user_id) DO UPDATE SET notified_until = excluded.notified_until`,
+        [userId, until.toISOString()],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  // Tokens closing in (now, until] whose owner hasn't been warned yet
+  async getTokensExpiringSoon(until) {
+    return new Promise((resolve, reject) => {
+      // expires_at is stored as epoch milliseconds (sqlite3 binds Date objects as numbers)
+      this.db.all(
+        `SELECT t.id, t.user_id, t.event_name, t.expires_at, u.email, u.name 
+         FROM upload_tokens t 
+         JOIN users u ON t.user_id = u.id 
+         WHERE t.expiry_warning_sent_at IS NULL AND t.expires_at > ? AND t.expires_at <= ?`,
+        [Date.now(), until.getTime()],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  }
+
+  async markTokenExpiryWarningSent(tokenId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE upload_tokens SET expiry_warning_sent_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [tokenId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  // Active subscriptions whose period ends in (now, until] and whose owner hasn't been warned yet
+  async getSubscriptionsExpiringSoon(until) {
+    return new Promise((resolve, reject) => {
+      // current_period_end is stored as epoch milliseconds, like token expiry
+      this.db.all(
+        `SELECT s.id, s.user_id, s.current_period_end, p.name AS plan_name, u.email, u.name 
+         FROM user_subscriptions s 
+         JOIN subscription_plans p ON s.plan_id = p.id 
+         JOIN users u ON s.user_id = u.id 
+         WHERE s.status = 'active' AND s.expiry_warning_sent_at IS NULL 
+           AND s.current_period_end > ? AND s.current_period_end <= ?`,
+        [Date.now(), until.getTime()],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  }
+
+  async markSubscriptionExpiryWarningSent(subscriptionId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE user_subscriptions SET expiry_warning_sent_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [subscriptionId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
   async removeGoogleDriveTokens(userId) {
     return new Promise((resolve, reject) => {
       this.db.run(
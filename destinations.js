@@ -0,0 +1,36 @@
+const GoogleDriveUploader = require('./googleDrive');
+const WebDAVUploader = require('./webdav');
+
+/**
+ * Delivery destination providers the worker hands staged uploads to.
+ *
+ * Every provider is constructed with the database and exposes:
+ *   initializeForUser(userId)           -> Promise<boolean>
+ *   uploadToEventFolder(filePath, fileName, mimeType, event, guestName)
+ *   isReconnectError(error)             -> boolean
+ *   markReconnectRequired(reason)
+ *
+ * Users without a saved destination deliver to Google Drive.
+ */
+const providers = {
+  google_drive: GoogleDriveUploader,
+  webdav: WebDAVUploader
+};
+
+const DEFAULT_DESTINATION = 'google_drive';
+
+function createDestination(type, db) {
+  const Provider = providers[type || DEFAULT_DESTINATION];
+
+  if (!Provider) {
+    throw new Error(`Unknown delivery destination "${type}". Supported destinations: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return new Provider(db);
+}
+
+module.exports = {
+  createDestination,
+  destinationTypes: Object.keys(providers),
+  DEFAULT_DESTINATION
+};
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+
+// Perceptual hashes this many bits apart (out of 64) or closer are treated as the same shot
+const NEAR_DUPLICATE_DISTANCE = 6;
+
+/**
+ * SHA-256 of a file's bytes, as hex
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * Number of differing bits between two hex-encoded hashes
+ */
+function hammingDistance(a, b) {
+  let difference = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+
+  while (difference > 0n) {
+    distance += Number(difference & 1n);
+    difference >>= 1n;
+  }
+  return distance;
+}
+
+/**
+ * The closest earlier upload that looks like the same photo.
+ * candidates are { id, perceptual_hash } rows; resolves to an upload id or null.
+ */
+function findNearDuplicate(perceptualHash, candidates) {
+  let closest = null;
+
+  for (const candidate of candidates) {
+    const distance = hammingDistance(perceptualHash, candidate.perceptual_hash);
+    if (distance <= NEAR_DUPLICATE_DISTANCE && (!closest || distance < closest.distance)) {
+      closest = { id: candidate.id, distance };
+    }
+  }
+
+  return closest ? closest.id : null;
+}
+
+module.exports = { hashFile, findNearDuplicate };
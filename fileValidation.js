@@ -0,0 +1,313 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { verifyImage } = require('./imageProcessing');
+require('dotenv').config();
+
+// Images with more pixels than this are refused as likely decompression bombs
+const MAX_IMAGE_PIXELS = parseInt(process.env.MAX_IMAGE_PIXELS) || 150 * 1000 * 1000;
+
+// Extensions each detected content type may arrive under
+const CONTENT_EXTENSIONS = {
+  jpeg: ['.jpg', '.jpeg'],
+  png: ['.png'],
+  gif: ['.gif'],
+  bmp: ['.bmp'],
+  webp: ['.webp'],
+  heif: ['.heic', '.heif', '.avif'],
+  mp4: ['.mp4', '.m4v', '.mov'],
+  quicktime: ['.mov'],
+  avi: ['.avi']
+};
+
+const IMAGE_CONTENT = ['jpeg', 'png', 'gif', 'bmp', 'webp', 'heif'];
+
+// ftyp major brands of HEIF-family stills (HEIC, HEIF, AVIF); other brands are MP4/QuickTime video
+const HEIF_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1', 'avif', 'avis'];
+
+// Old QuickTime files can start with any of these atoms instead of ftyp
+const QUICKTIME_ATOMS = ['moov', 'mdat', 'wide', 'free', 'skip'];
+
+// BITMAPINFOHEADER variants, to tell a real BMP from any file starting with "BM"
+const BMP_HEADER_SIZES = [12, 40, 52, 56, 64, 108, 124];
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// A ZIP end-of-central-directory record sits in the last 64KB, which is what makes image+ZIP polyglots work
+const ZIP_END_SIGNATURE = Buffer.from([0x50, 0x4b, 0x05, 0x06]);
+const ZIP_END_SEARCH_LENGTH = 65536 + 22;
+
+// Markup and script that browsers or servers may run if the file is ever served as something else.
+// Only looked for where text can hide (metadata segments and trailing data): short markers turn up
+// by chance in compressed image data.
+const EMBEDDED_MARKUP = ['<script', '<?php', '<html', '<iframe', '<svg', 'javascript:', '%pdf-'];
+const MARKUP_OVERLAP = Math.max(...EMBEDDED_MARKUP.map(marker => marker.length)) - 1;
+
+// Files are read in bounded chunks, never whole
+const SCAN_CHUNK_SIZE = 64 * 1024;
+
+// Compressed PNG text is only inflated this far
+const MAX_TEXT_CHUNK_SIZE = 1024 * 1024;
+
+// JPEG markers: APP0-APP15 and COM carry metadata, SOS starts entropy-coded data, EOI ends the image
+const JPEG_APP0 = 0xe0;
+const JPEG_APP15 = 0xef;
+const JPEG_COM = 0xfe;
+const JPEG_SOS = 0xda;
+const JPEG_EOI = 0xd9;
+
+const PNG_TEXT_CHUNKS = ['tEXt', 'iTXt', 'zTXt'];
+
+/**
+ * Identify a file from its first bytes, ignoring the name and mimetype the client sent.
+ * Returns a CONTENT_EXTENSIONS key, or null when the format isn't one we accept.
+ */
+function detectContentType(header) {
+  const ascii = header.toString('latin1');
+
+  if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) return 'jpeg';
+  if (header.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+  if (/^GIF8[79]a/.test(ascii)) return 'gif';
+  if (ascii.startsWith('BM') && header.length >= 18 && BMP_HEADER_SIZES.includes(header.readUInt32LE(14))) return 'bmp';
+  if (ascii.startsWith('RIFF') && ascii.slice(8, 12) === 'WEBP') return 'webp';
+  if (ascii.startsWith('RIFF') && ascii.slice(8, 12) === 'AVI ') return 'avi';
+
+  const boxType = ascii.slice(4, 8);
+  if (boxType === 'ftyp') {
+    return HEIF_BRANDS.includes(ascii.slice(8, 12)) ? 'heif' : 'mp4';
+  }
+  if (QUICKTIME_ATOMS.includes(boxType)) return 'quicktime';
+
+  return null;
+}
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+function containsMarkup(data) {
+  const text = data.toString('latin1').toLowerCase();
+  return EMBEDDED_MARKUP.some(marker => text.includes(marker));
+}
+
+// Scan [start, end) chunk by chunk, overlapping so a marker split across two chunks is still found
+async function rangeContainsMarkup(handle, start, end) {
+  for (let position = start; position < end; position += SCAN_CHUNK_SIZE) {
+    const chunk = await readAt(handle, position, Math.min(SCAN_CHUNK_SIZE + MARKUP_OVERLAP, end - position));
+    if (containsMarkup(chunk)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Find the next marker in JPEG entropy-coded data starting at offset, skipping byte stuffing (FF00),
+ * fill bytes and restart markers. Resolves to the marker's offset, or null at the end of the file.
+ */
+async function findNextJpegMarker(handle, offset, size) {
+  while (offset < size - 1) {
+    const chunk = await readAt(handle, offset, SCAN_CHUNK_SIZE);
+    if (chunk.length < 2) {
+      return null;
+    }
+
+    let index = chunk.indexOf(0xff);
+    while (index !== -1 && index < chunk.length - 1) {
+      const marker = chunk[index + 1];
+      if (marker !== 0x00 && marker !== 0xff && !(marker >= 0xd0 && marker <= 0xd7)) {
+        return offset + index;
+      }
+      index = chunk.indexOf(0xff, index + 1);
+    }
+
+    // A trailing FF may start a marker, so the next chunk begins with it
+    offset += index === -1 ? chunk.length : index;
+  }
+  return null;
+}
+
+/**
+ * Walk JPEG segments: scan APPn/COM metadata and whatever follows EOI.
+ * Resolves to the rejection reason, or null.
+ */
+async function inspectJpeg(handle, size) {
+  let offset = 2;
+
+  while (offset + 4 <= size) {
+    const header = await readAt(handle, offset, 4);
+    if (header[0] !== 0xff) {
+      // Not a marker where one should be; leave judging the image to the decoder
+      return null;
+    }
+
+    const marker = header[1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === JPEG_EOI) {
+      return await rangeContainsMarkup(handle, offset + 2, size) ? 'Image contains embedded script or markup' : null;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      offset += 2;
+      continue;
+    }
+
+    const length = header.readUInt16BE(2);
+    const isMetadata = (marker >= JPEG_APP0 && marker <= JPEG_APP15) || marker === JPEG_COM;
+    if (isMetadata && await rangeContainsMarkup(handle, offset + 4, Math.min(offset + 2 + length, size))) {
+      return 'Image contains embedded script or markup';
+    }
+
+    offset += 2 + length;
+    if (marker === JPEG_SOS) {
+      const next = await findNextJpegMarker(handle, offset, size);
+      if (next === null) {
+        return null;
+      }
+      offset = next;
+    }
+  }
+
+  return null;
+}
+
+// Text of a tEXt/iTXt/zTXt chunk, inflated when compressed (and only as far as MAX_TEXT_CHUNK_SIZE)
+function pngChunkText(type, data) {
+  const keywordEnd = data.indexOf(0);
+  if (type === 'tEXt' || keywordEnd === -1) {
+    return data;
+  }
+
+  let compressed = type === 'zTXt';
+  let textStart = keywordEnd + 2;
+  if (type === 'iTXt') {
+    compressed = data[keywordEnd + 1] === 1;
+    // Skip the language tag and translated keyword
+    const languageEnd = data.indexOf(0, keywordEnd + 3);
+    const translatedEnd = languageEnd === -1 ? -1 : data.indexOf(0, languageEnd + 1);
+    if (translatedEnd === -1) {
+      return data;
+    }
+    textStart = translatedEnd + 1;
+  }
+
+  if (!compressed) {
+    return data;
+  }
+
+  try {
+    const text = zlib.inflateSync(data.subarray(textStart), {
+      finishFlush: zlib.constants.Z_SYNC_FLUSH,
+      maxOutputLength: MAX_TEXT_CHUNK_SIZE
+    });
+    return Buffer.concat([data.subarray(0, textStart), text]);
+  } catch (error) {
+    return data;
+  }
+}
+
+/**
+ * Walk PNG chunks: scan text chunks, and refuse anything after IEND (a payload riding along with the image).
+ * Resolves to the rejection reason, or null.
+ */
+async function inspectPng(handle, size) {
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 12 <= size) {
+    const header = await readAt(handle, offset, 8);
+    const length = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    const dataStart = offset + 8;
+    offset = dataStart + length + 4;
+
+    if (type === 'IEND') {
+      for (let position = offset; position < size; position += SCAN_CHUNK_SIZE) {
+        const trailing = await readAt(handle, position, SCAN_CHUNK_SIZE);
+        if (trailing.some(byte => byte !== 0)) {
+          return 'Image has extra data appended after its end';
+        }
+      }
+      return null;
+    }
+
+    if (PNG_TEXT_CHUNKS.includes(type)) {
+      const data = await readAt(handle, dataStart, Math.min(length, MAX_TEXT_CHUNK_SIZE));
+      if (containsMarkup(pngChunkText(type, data))) {
+        return 'Image contains embedded script or markup';
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Look for a second file (archive, script, markup) hidden inside an image.
+ * Resolves to the rejection reason, or null when nothing was found.
+ */
+async function findEmbeddedPayload(handle, size, contentType) {
+  const tail = await readAt(handle, Math.max(0, size - ZIP_END_SEARCH_LENGTH), ZIP_END_SEARCH_LENGTH);
+  if (tail.includes(ZIP_END_SIGNATURE)) {
+    return 'Image contains an embedded archive';
+  }
+
+  if (contentType === 'jpeg') {
+    return inspectJpeg(handle, size);
+  }
+  if (contentType === 'png') {
+    return inspectPng(handle, size);
+  }
+  return null;
+}
+
+async function readHeader(filePath, length) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    return await readAt(handle, 0, length);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Check that a received file really is the image or video its name claims.
+ * Resolves to { valid: true, contentType } or { valid: false, reason } with a reason safe to show the guest.
+ */
+async function validateUpload(filePath, originalName) {
+  const extension = path.extname(originalName).toLowerCase();
+  const contentType = detectContentType(await readHeader(filePath, 32));
+
+  if (!contentType || !CONTENT_EXTENSIONS[contentType].includes(extension)) {
+    return { valid: false, reason: `File contents don't match its ${extension || 'missing'} extension` };
+  }
+
+  // Videos are delivered as-is and never decoded here, so the signature is all that's checked
+  if (!IMAGE_CONTENT.includes(contentType)) {
+    return { valid: true, contentType };
+  }
+
+  const handle = await fs.promises.open(filePath, 'r');
+  let payload;
+  try {
+    const { size } = await handle.stat();
+    payload = await findEmbeddedPayload(handle, size, contentType);
+  } finally {
+    await handle.close();
+  }
+  if (payload) {
+    return { valid: false, reason: payload };
+  }
+
+  const image = await verifyImage(filePath, MAX_IMAGE_PIXELS);
+  if (!image.valid) {
+    return image;
+  }
+
+  return { valid: true, contentType };
+}
+
+module.exports = { validateUpload };
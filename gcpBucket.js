@@ -1,6 +1,7 @@
 const { Storage } = require('@google-cloud/storage');
 const fs = require('fs');
 const path = require('path');
+const { pipeline } = require('stream/promises');
 require('dotenv').config();
 
 class GCPBucketUploader {
@@ -41,6 +42,13 @@ class GCPBucketUploader {
     }
   }
 
+  /**
+   * Whether the bucket is ready for use
+   */
+  isReady() {
+    return !!this.bucket;
+  }
+
   /**
    * Create the bucket if it doesn't exist
    */
@@ -68,25 +76,26 @@ class GCPBucketUploader {
   }
 
   /**
-   * Upload a file to the bucket
+   * Upload a local file to the bucket
    */
-  async uploadFile(localFilePath, fileName) {
+  async put(key, localFilePath, options = {}) {
     if (!this.bucket) {
       throw new Error('Google Cloud Storage not initialized');
     }
 
     try {
-      const file = this.bucket.file(fileName);
-      
-      await file.save(fs.readFileSync(localFilePath), {
+      // Streams the file rather than buffering it in memory
+      await this.bucket.upload(localFilePath, {
+        destination: key,
+        resumable: false,
         metadata: {
-          contentType: this.getMimeType(fileName)
+          contentType: options.contentType || this.getMimeType(key)
         }
       });
 
-      console.log(`File uploaded to bucket: ${fileName}`);
+      console.log(`File uploaded to bucket: ${key}`);
       return {
-        name: fileName,
+        name: key,
         bucket: this.bucketName
       };
     } catch (error) {
@@ -98,16 +107,15 @@ class GCPBucketUploader {
   /**
    * Download a file from the bucket
    */
-  async downloadFile(fileName, localPath) {
+  async get(key, localPath) {
     if (!this.bucket) {
       throw new Error('Google Cloud Storage not initialized');
     }
 
     try {
-      const file = this.bucket.file(fileName);
-      await file.download({ destination: localPath });
+      await pipeline(await this.getStream(key), fs.createWriteStream(localPath));
       
-      console.log(`File downloaded from bucket: ${fileName}`);
+      console.log(`File downloaded from bucket: ${key}`);
       return localPath;
     } catch (error) {
       console.error('Error downloading file from bucket:', error.message);
@@ -115,19 +123,29 @@ class GCPBucketUploader {
     }
   }
 
+  /**
+   * Open a read stream for a file in the bucket
+   */
+  async getStream(key) {
+    if (!this.bucket) {
+      throw new Error('Google Cloud Storage not initialized');
+    }
+
+    return this.bucket.file(key).createReadStream();
+  }
+
   /**
    * Delete a file from the bucket
    */
-  async deleteFile(fileName) {
+  async delete(key) {
     if (!this.bucket) {
       throw new Error('Google Cloud Storage not initialized');
     }
 
     try {
-      const file = this.bucket.file(fileName);
-      await file.delete();
+      await this.bucket.file(key).delete();
       
-      console.log(`File deleted from bucket: ${fileName}`);
+      console.log(`File deleted from bucket: ${key}`);
     } catch (error) {
       console.error('Error deleting file from bucket:', error.message);
       throw error;
@@ -135,15 +153,15 @@ class GCPBucketUploader {
   }
 
   /**
-   * List files in the bucket that need to be processed
+   * List files in the bucket, optionally under a key prefix
    */
-  async listPendingFiles() {
+  async list(prefix = '') {
     if (!this.bucket) {
       throw new Error('Google Cloud Storage not initialized');
     }
 
     try {
-      const [files] = await this.bucket.getFiles();
+      const [files] = await this.bucket.getFiles({ prefix });
       return files.map(file => ({
         name: file.name,
         created: file.metadata.timeCreated,
@@ -155,6 +173,22 @@ class GCPBucketUploader {
     }
   }
 
+  /**
+   * Create a time-limited read URL for a file in the bucket
+   */
+  async getSignedUrl(key, expiresInSeconds = 15 * 60) {
+    if (!this.bucket) {
+      throw new Error('Google Cloud Storage not initialized');
+    }
+
+    const [url] = await this.bucket.file(key).getSignedUrl({
+      version: 'v4',
+      action: 'read',
+      expires: Date.now() + expiresInSeconds * 1000
+    });
+    return url;
+  }
+
   /**
    * Get MIME type based on file extension
    */
@@ -166,6 +200,7 @@ class GCPBucketUploader {
       '.png': 'image/png',
       '.gif': 'image/gif',
       '.mp4': 'video/mp4',
+      '.m4v': 'video/mp4',
       '.mov': 'video/quicktime',
       '.avi': 'video/x-msvideo'
     };
@@ -173,4 +208,4 @@ class GCPBucketUploader {
   }
 }
 
-module.exports = GCPBucketUploader;
\ No newline at end of file
+module.exports = GCPBucketUploader;
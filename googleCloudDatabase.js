@@ -48,11 +48,56 @@ class GoogleCloudDatabase {
       });
       
       console.log('Google Cloud Firestore collections initialized');
+
+      await this.backfillDeliveryJobs();
     } catch (error) {
       console.error('Error initializing collections:', error);
     }
   }
 
+  // Queue uploads stored before the delivery queue existed; runs once, then records that it has
+  async backfillDeliveryJobs() {
+    const markerRef = this.db.collection(`${this.collectionPrefix}_migrations`).doc('delivery_jobs_backfill');
+    if ((await markerRef.get()).exists) {
+      return;
+    }
+
+    const snapshot = await this.db.collection(`${this.collectionPrefix}_uploads`).get();
+    const pending = snapshot.docs.filter(doc => {
+      const upload = doc.data();
+      return !upload.uploadedToDrive &&
+        (!upload.reviewStatus || upload.reviewStatus === 'approved') &&
+        upload.scanStatus !== 'infected';
+    });
+
+    let queued = 0;
+    // Firestore batches hold at most 500 writes
+    for (let i = 0; i < pending.length; i += 500) {
+      const jobRefs = pending.slice(i, i + 500)
+        .map(doc => this.db.collection(`${this.collectionPrefix}_delivery_jobs`).doc(doc.id));
+      const jobs = await this.db.getAll(...jobRefs);
+      const batch = this.db.batch();
+
+      for (const job of jobs.filter(job => !job.exists)) {
+        batch.set(job.ref, {
+          uploadId: job.id,
+          status: 'queued',
+          attempts: 0,
+          nextAttemptAt: new Date(),
+          lastError: null,
+          updatedAt: new Date()
+        });
+        queued++;
+      }
+      await batch.commit();
+    }
+
+    await markerRef.set({ completedAt: new Date(), queued });
+    if (queued > 0) {
+      console.log(`Queued ${queued} undelivered uploads for Drive delivery`);
+    }
+  }
+
   // Logging helper
   async logEvent(userId, eventType, data = {}) {
     try {
@@ -140,6 +185,34 @@ class GoogleCloudDatabase {
     }
   }
 
+  async updateUserPassword(userId, password) {
+    try {
+      const hashedPassword = await bcrypt.hash(password, 10);
+      await this.db.collection(`${this.collectionPrefix}_users`).doc(userId).update({ password: hashedPassword });
+      
+      await this.logEvent(userId, 'password_reset', {});
+      return 1;
+    } catch (error) {
+      console.error('Error updating password:', error);
+      throw error;
+    }
+  }
+
+  async markEmailVerified(userId) {
+    try {
+      const userRef = this.db.collection(`${this.collectionPrefix}_users`).doc(userId);
+      const user = (await userRef.get()).data() || {};
+      
+      if (!user.emailVerified) {
+        await userRef.update({ emailVerified: true, emailVerifiedAt: new Date() });
+      }
+      return 1;
+    } catch (error) {
+      console.error('Error marking email verified:', error);
+      throw error;
+    }
+  }
+
   async validateUser(email, password) {
     try {
       const user = await this.getUserByEmail(email);
@@ -279,6 +352,37 @@ class GoogleCloudDatabase {
     }
   }
 
+  async getTokenByGalleryToken(galleryToken) {
+    try {
+      const snapshot = await this.db.collection(`${this.collectionPrefix}_tokens`)
+        .where('galleryToken', '==', galleryToken)
+        .where('active', '==', true)
+        .limit(1)
+        .get();
+      
+      if (snapshot.empty) {
+        return null;
+      }
+      
+      const doc = snapshot.docs[0];
+      return { id: doc.id, ...doc.data() };
+    } catch (error) {
+      console.error('Error getting token by gallery token:', error);
+      throw error;
+    }
+  }
+
+  // Pass null to revoke the view-only link
+  async updateTokenGalleryToken(tokenId, galleryToken) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_tokens`).doc(tokenId).update({ galleryToken });
+      return 1;
+    } catch (error) {
+      console.error('Error updating gallery token:', error);
+      throw error;
+    }
+  }
+
   async getUserTokens(userId) {
     try {
       const snapshot = await this.db.collection(`${this.collectionPrefix}_tokens`)
@@ -294,6 +398,45 @@ class GoogleCloudDatabase {
     }
   }
 
+  async updateTokenSettings(tokenId, settings) {
+    try {
+      // Only owner-editable per-token options
+      const allowed = ['organizeByGuest', 'maxUploads', 'convertHeic', 'stripMetadata', 'moderateUploads', 'publicGallery'];
+      const updates = {};
+      
+      for (const key of allowed) {
+        if (settings[key] !== undefined) {
+          updates[key] = settings[key];
+        }
+      }
+      
+      if (Object.keys(updates).length === 0) {
+        return 0;
+      }
+      
+      await this.db.collection(`${this.collectionPrefix}_tokens`).doc(tokenId).update(updates);
+      
+      return 1;
+    } catch (error) {
+      console.error('Error updating token settings:', error);
+      throw error;
+    }
+  }
+
+  async updateTokenDriveFolders(tokenId, driveFolderId, guestFolders = {}) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_tokens`).doc(tokenId).update({
+        driveFolderId,
+        driveGuestFolders: guestFolders
+      });
+      
+      return 1;
+    } catch (error) {
+      console.error('Error updating token Drive folders:', error);
+      throw error;
+    }
+  }
+
   // Upload management
   async createUpload(tokenId, originalName, filename, size, mimetype, guestName = 'Anonymous', guestMessage = '') {
     try {
@@ -306,16 +449,18 @@ class GoogleCloudDatabase {
         guestName,
         guestMessage,
         uploadedAt: new Date(),
+        uploadedToBucket: true,
         status: 'pending'
       };
       
       const docRef = await this.db.collection(`${this.collectionPrefix}_uploads`).add(uploadData);
       
       // Update token's current upload count
-      const token = await this.getTokenByValue(tokenId);
-      if (token) {
-        await this.db.collection(`${this.collectionPrefix}_tokens`).doc(token.id).update({
-          currentUploads: token.currentUploads + 1
+      const tokenDoc = await this.db.collection(`${this.collectionPrefix}_tokens`).doc(tokenId).get();
+      if (tokenDoc.exists) {
+        const token = tokenDoc.data();
+        await tokenDoc.ref.update({
+          currentUploads: (token.currentUploads || 0) + 1
         });
         
         await this.logEvent(token.userId, 'file_uploaded', { 
@@ -352,7 +497,7 @@ class GoogleCloudDatabase {
           .orderBy('uploadedAt', 'desc')
           .get();
         
-        uploads.push(...snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        uploads.push(...snapshot.docs.map(doc => this.toUploadRow(doc)));
       }
       
       return uploads;
@@ -362,97 +507,167 @@ class GoogleCloudDatabase {
     }
   }
 
-  // Statistics
-  async getUserStats(userId) {
+  async getUploadsByToken(token) {
     try {
-      const tokens = await this.getUserTokens(userId);
-      const uploads = await this.getUserUploads(userId);
-      
-      const activeTokens = tokens.filter(t => 
-        !t.expiresAt || new Date(t.expiresAt.toDate()) > new Date()
-      ).length;
+      const tokenData = await this.getTokenByValue(token);
+      if (!tokenData) {
+        return [];
+      }
       
-      await this.logEvent(userId, 'stats_viewed', { 
-        totalTokens: tokens.length,
-        totalUploads: uploads.length,
-        activeTokens 
-      });
+      const snapshot = await this.db.collection(`${this.collectionPrefix}_uploads`)
+        .where('tokenId', '==', tokenData.id)
+        .orderBy('uploadedAt', 'desc')
+        .get();
       
-      return {
-        total_tokens: tokens.length,
-        total_uploads: uploads.length,
-        active_tokens: activeTokens
-      };
+      return snapshot.docs.map(doc => this.toUploadRow(doc));
     } catch (error) {
-      console.error('Error getting user stats:', error);
+      console.error('Error getting uploads by token:', error);
       throw error;
     }
   }
 
-  // Google Drive tokens (for OAuth integration)
-  async saveGoogleDriveTokens(userId, accessToken, refreshToken, expiresAt) {
+  // Upload documents plus the guest fields under their SQLite column names
+  toUploadRow(doc) {
+    const upload = doc.data();
+    return {
+      id: doc.id,
+      ...upload,
+      uploader_name: upload.guestName,
+      guest_message: upload.guestMessage || null
+    };
+  }
+
+  // Upload rows use the same column names as the SQLite backend so worker.js stays backend-agnostic
+  toDeliveryRow(uploadId, upload, token) {
+    return {
+      id: uploadId,
+      token_id: upload.tokenId,
+      token: token.token,
+      user_id: token.userId,
+      event_name: token.eventName,
+      organize_by_guest: !!token.organizeByGuest,
+      drive_folder_id: token.driveFolderId || null,
+      drive_guest_folders: token.driveGuestFolders || {},
+      original_name: upload.originalName,
+      filename: upload.filename,
+      size: upload.size,
+      mimetype: upload.mimetype,
+      source_filename: upload.sourceFilename || null,
+      source_mimetype: upload.sourceMimetype || null,
+      uploader_name: upload.guestName,
+      guest_message: upload.guestMessage || null,
+      uploaded_at: upload.uploadedAt,
+      uploaded_to_bucket: !!upload.uploadedToBucket
+    };
+  }
+
+  async getTokenData(tokenId, cache = new Map()) {
+    if (!cache.has(tokenId)) {
+      const tokenDoc = await this.db.collection(`${this.collectionPrefix}_tokens`).doc(tokenId).get();
+      cache.set(tokenId, tokenDoc.exists ? tokenDoc.data() : null);
+    }
+    return cache.get(tokenId);
+  }
+
+  // Pending Drive deliveries; omit userId to get every user's
+  async getPendingUploads(userId = null) {
     try {
-      const tokenData = {
-        userId,
-        accessToken,
-        refreshToken,
-        expiresAt: new Date(expiresAt),
-        updatedAt: new Date()
-      };
+      const snapshot = await this.db.collection(`${this.collectionPrefix}_uploads`)
+        .where('status', '==', 'pending')
+        .orderBy('uploadedAt', 'asc')
+        .get();
       
-      await this.db.collection(`${this.collectionPrefix}_google_drive_tokens`)
-        .doc(userId)
-        .set(tokenData, { merge: true });
+      const tokens = new Map();
+      const uploads = [];
       
-      await this.logEvent(userId, 'google_drive_tokens_saved', {});
+      for (const doc of snapshot.docs) {
+        const upload = doc.data();
+        const token = await this.getTokenData(upload.tokenId, tokens);
+        if (!token || (userId && token.userId !== userId)) {
+          continue;
+        }
+        
+        uploads.push(this.toDeliveryRow(doc.id, upload, token));
+      }
       
-      return true;
+      return uploads;
     } catch (error) {
-      console.error('Error saving Google Drive tokens:', error);
+      console.error('Error getting pending uploads:', error);
       throw error;
     }
   }
 
-  async getGoogleDriveTokens(userId) {
+  async updateUploadMediaInfo(uploadId, mediaInfo) {
     try {
-      const doc = await this.db.collection(`${this.collectionPrefix}_google_drive_tokens`)
-        .doc(userId)
-        .get();
+      // Video duration/resolution or photo EXIF details
+      const allowed = ['duration', 'width', 'height', 'takenAt', 'cameraMake', 'cameraModel', 'metadataStripped'];
+      const updates = {};
       
-      if (!doc.exists) {
-        return null;
+      for (const key of allowed) {
+        if (mediaInfo[key] !== undefined) {
+          updates[key] = mediaInfo[key];
+        }
+      }
+      
+      if (Object.keys(updates).length === 0) {
+        return 0;
       }
       
-      return doc.data();
+      await this.db.collection(`${this.collectionPrefix}_uploads`).doc(uploadId).update(updates);
+      
+      return 1;
     } catch (error) {
-      console.error('Error getting Google Drive tokens:', error);
+      console.error('Error updating upload media info:', error);
       throw error;
     }
   }
 
-  async updateGoogleDriveToken(userId, accessToken, expiresAt) {
+  async updateUploadPreviews(uploadId, previews) {
     try {
-      await this.db.collection(`${this.collectionPrefix}_google_drive_tokens`)
-        .doc(userId)
-        .update({
-          accessToken,
-          expiresAt: new Date(expiresAt),
-          updatedAt: new Date()
-        });
+      await this.db.collection(`${this.collectionPrefix}_uploads`).doc(uploadId).update({ previews });
+      return 1;
+    } catch (error) {
+      console.error('Error updating upload previews:', error);
+      throw error;
+    }
+  }
+
+  async updateUploadSource(uploadId, sourceFilename, sourceMimetype) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_uploads`).doc(uploadId).update({
+        sourceFilename,
+        sourceMimetype
+      });
       
-      return true;
+      return 1;
     } catch (error) {
-      console.error('Error updating Google Drive token:', error);
+      console.error('Error updating upload source:', error);
       throw error;
     }
   }
 
-  // Subscription management
-  async getSubscriptionByUserId(userId) {
+  async updateUploadHashes(uploadId, { contentHash, perceptualHash, nearDuplicateOf }) {
     try {
-      const snapshot = await this.db.collection(`${this.collectionPrefix}_subscriptions`)
-        .where('userId', '==', userId)
-        .where('status', '==', 'active')
+      await this.db.collection(`${this.collectionPrefix}_uploads`).doc(uploadId).update({
+        contentHash: contentHash || null,
+        perceptualHash: perceptualHash || null,
+        nearDuplicateOf: nearDuplicateOf || null
+      });
+      
+      return 1;
+    } catch (error) {
+      console.error('Error updating upload hashes:', error);
+      throw error;
+    }
+  }
+
+  // An earlier upload of the exact same file to this token, if any
+  async findUploadByContentHash(tokenId, contentHash) {
+    try {
+      const snapshot = await this.db.collection(`${this.collectionPrefix}_uploads`)
+        .where('tokenId', '==', tokenId)
+        .where('contentHash', '==', contentHash)
+        .orderBy('uploadedAt', 'asc')
         .limit(1)
         .get();
       
@@ -463,7 +678,1398 @@ class GoogleCloudDatabase {
       const doc = snapshot.docs[0];
       return { id: doc.id, ...doc.data() };
     } catch (error) {
-      console.error('Error getting subscription:', error);
+      console.error('Error finding upload by content hash:', error);
+      throw error;
+    }
+  }
+
+  async getUploadPerceptualHashes(tokenId) {
+    try {
+      const snapshot = await this.db.collection(`${this.collectionPrefix}_uploads`)
+        .where('tokenId', '==', tokenId)
+        .get();
+      
+      return snapshot.docs
+        .filter(doc => doc.data().perceptualHash)
+        .map(doc => ({ id: doc.id, perceptual_hash: doc.data().perceptualHash }));
+    } catch (error) {
+      console.error('Error getting upload perceptual hashes:', error);
+      throw error;
+    }
+  }
+
+  // Removes the upload document with its delivery job; files are the caller's to clean up
+  async deleteUpload(uploadId) {
+    try {
+      const uploads = this.db.collection(`${this.collectionPrefix}_uploads`);
+      const nearDuplicates = await uploads.where('nearDuplicateOf', '==', uploadId).get();
+      
+      const batch = this.db.batch();
+      nearDuplicates.docs.forEach(doc => batch.update(doc.ref, { nearDuplicateOf: null }));
+      batch.delete(this.db.collection(`${this.collectionPrefix}_delivery_jobs`).doc(uploadId));
+      batch.delete(uploads.doc(uploadId));
+      await batch.commit();
+      
+      return 1;
+    } catch (error) {
+      console.error('Error deleting upload:', error);
+      throw error;
+    }
+  }
+
+  // One entry per guest message (a guest's batch shares its message), oldest first; rejected uploads are left out
+  async getGuestbook(tokenId) {
+    try {
+      const snapshot = await this.db.collection(`${this.collectionPrefix}_uploads`)
+        .where('tokenId', '==', tokenId)
+        .orderBy('uploadedAt', 'asc')
+        .get();
+      
+      const entries = new Map();
+      for (const doc of snapshot.docs) {
+        const upload = doc.data();
+        if (!upload.guestMessage || upload.reviewStatus === 'rejected') {
+          continue;
+        }
+        
+        const key = JSON.stringify([upload.guestName, upload.guestMessage]);
+        if (!entries.has(key)) {
+          entries.set(key, {
+            guest_name: upload.guestName,
+            message: upload.guestMessage,
+            upload_count: 0,
+            first_upload_at: upload.uploadedAt.toDate().toISOString()
+          });
+        }
+        entries.get(key).upload_count++;
+      }
+      
+      return [...entries.values()];
+    } catch (error) {
+      console.error('Error getting guestbook:', error);
+      throw error;
+    }
+  }
+
+  // Uploads the public gallery may show, oldest first, as rows with SQLite column names
+  async getVisibleGalleryUploads(tokenId) {
+    const snapshot = await this.db.collection(`${this.collectionPrefix}_uploads`)
+      .where('tokenId', '==', tokenId)
+      .get();
+    
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(upload => (!upload.reviewStatus || upload.reviewStatus === 'approved') &&
+        upload.scanStatus !== 'infected' &&
+        upload.previews)
+      .map(upload => ({
+        id: upload.id,
+        uploader_name: upload.guestName,
+        previews: upload.previews,
+        uploaded_at: upload.uploadedAt.toDate().toISOString(),
+        taken_at: upload.takenAt || null,
+        visible_at: (upload.reviewedAt || upload.uploadedAt).toDate().toISOString()
+      }))
+      .sort((a, b) => a.visible_at.localeCompare(b.visible_at) || a.id.localeCompare(b.id));
+  }
+
+  // Gallery page, most recently visible first (approval time for moderated uploads)
+  async getGalleryUploads(tokenId, limit, offset) {
+    try {
+      const uploads = (await this.getVisibleGalleryUploads(tokenId)).reverse();
+      return { total: uploads.length, uploads: uploads.slice(offset, offset + limit) };
+    } catch (error) {
+      console.error('Error getting gallery uploads:', error);
+      throw error;
+    }
+  }
+
+  // Slideshow feed, oldest first after the { visibleAt, id } cursor; without one, the latest uploads
+  async getSlideshowUploads(tokenId, after, limit) {
+    try {
+      const uploads = await this.getVisibleGalleryUploads(tokenId);
+      if (!after) {
+        return uploads.slice(-limit);
+      }
+      
+      return uploads
+        .filter(upload => upload.visible_at > after.visibleAt ||
+          (upload.visible_at === after.visibleAt && upload.id > after.id))
+        .slice(0, limit);
+    } catch (error) {
+      console.error('Error getting slideshow uploads:', error);
+      throw error;
+    }
+  }
+
+  async getUploadIdsByTokenId(tokenId) {
+    try {
+      const snapshot = await this.db.collection(`${this.collectionPrefix}_uploads`)
+        .where('tokenId', '==', tokenId)
+        .get();
+      
+      return snapshot.docs.map(doc => doc.id);
+    } catch (error) {
+      console.error('Error getting upload IDs by token:', error);
+      throw error;
+    }
+  }
+
+  // With fromStatus, only moves uploads still in that state; resolves to the number changed
+  async updateUploadReviewStatus(uploadId, status, fromStatus = null) {
+    try {
+      const uploadRef = this.db.collection(`${this.collectionPrefix}_uploads`).doc(uploadId);
+      
+      return await this.db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(uploadRef);
+        if (!doc.exists || (fromStatus && doc.data().reviewStatus !== fromStatus)) {
+          return 0;
+        }
+        
+        transaction.update(uploadRef, {
+          reviewStatus: status,
+          reviewedAt: status === 'pending_review' ? null : new Date()
+        });
+        return 1;
+      });
+    } catch (error) {
+      console.error('Error updating upload review status:', error);
+      throw error;
+    }
+  }
+
+  async getPendingReviewUploads(userId) {
+    try {
+      const uploads = await this.getUserUploads(userId);
+      return uploads
+        .filter(upload => upload.reviewStatus === 'pending_review')
+        .reverse();
+    } catch (error) {
+      console.error('Error getting uploads pending review:', error);
+      throw error;
+    }
+  }
+
+  async updateUploadScanResult(uploadId, status, signature = null) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_uploads`).doc(uploadId).update({
+        scanStatus: status,
+        scanSignature: signature,
+        scannedAt: new Date()
+      });
+      
+      return 1;
+    } catch (error) {
+      console.error('Error updating upload scan result:', error);
+      throw error;
+    }
+  }
+
+  async getUploadById(uploadId) {
+    try {
+      const doc = await this.db.collection(`${this.collectionPrefix}_uploads`).doc(uploadId).get();
+      if (!doc.exists) {
+        return null;
+      }
+      
+      const upload = doc.data();
+      const token = await this.getTokenData(upload.tokenId);
+      if (!token) {
+        return null;
+      }
+      
+      return {
+        ...this.toDeliveryRow(doc.id, upload, token),
+        status: upload.status,
+        uploaded_to_drive: !!upload.uploadedToDrive,
+        scan_status: upload.scanStatus || null,
+        scan_signature: upload.scanSignature || null,
+        review_status: upload.reviewStatus || null,
+        previews: upload.previews || null
+      };
+    } catch (error) {
+      console.error('Error getting upload by ID:', error);
+      throw error;
+    }
+  }
+
+  // Resumable upload sessions (rows use SQLite column names, like toDeliveryRow)
+  async createUploadSession(session) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_upload_sessions`).doc(session.id).set({
+        tokenId: session.tokenId,
+        originalName: session.originalName,
+        mimetype: session.mimetype,
+        size: session.size,
+        guestName: session.guestName,
+        guestMessage: session.guestMessage || null,
+        receivedRanges: [],
+        receivedBytes: 0,
+        status: 'active',
+        uploadId: null,
+        expiresAt: session.expiresAt.toISOString(),
+        quotaReserved: !!session.quotaReserved,
+        clientIp: session.clientIp || null,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+      
+      return session.id;
+    } catch (error) {
+      console.error('Error creating upload session:', error);
+      throw error;
+    }
+  }
+
+  async getUploadSession(sessionId) {
+    try {
+      const doc = await this.db.collection(`${this.collectionPrefix}_upload_sessions`).doc(sessionId).get();
+      if (!doc.exists) {
+        return null;
+      }
+      
+      const session = doc.data();
+      const token = await this.getTokenData(session.tokenId);
+      if (!token) {
+        return null;
+      }
+      
+      return {
+        id: doc.id,
+        token_id: session.tokenId,
+        token: token.token,
+        user_id: token.userId,
+        original_name: session.originalName,
+        mimetype: session.mimetype,
+        size: session.size,
+        guest_name: session.guestName,
+        guest_message: session.guestMessage || null,
+        // Firestore can't store nested arrays, so ranges are kept as { start, end } maps
+        received_ranges: (session.receivedRanges || []).map(range => [range.start, range.end]),
+        received_bytes: session.receivedBytes,
+        status: session.status,
+        upload_id: session.uploadId,
+        expires_at: session.expiresAt,
+        quota_reserved: !!session.quotaReserved
+      };
+    } catch (error) {
+      console.error('Error getting upload session:', error);
+      throw error;
+    }
+  }
+
+  async updateUploadSessionProgress(sessionId, receivedRanges, receivedBytes) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_upload_sessions`).doc(sessionId).update({
+        receivedRanges: receivedRanges.map(([start, end]) => ({ start, end })),
+        receivedBytes,
+        updatedAt: new Date()
+      });
+      
+      return 1;
+    } catch (error) {
+      console.error('Error updating upload session progress:', error);
+      throw error;
+    }
+  }
+
+  async completeUploadSession(sessionId, uploadId) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_upload_sessions`).doc(sessionId).update({
+        status: 'completed',
+        uploadId,
+        updatedAt: new Date()
+      });
+      
+      return 1;
+    } catch (error) {
+      console.error('Error completing upload session:', error);
+      throw error;
+    }
+  }
+
+  async deleteUploadSession(sessionId) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_upload_sessions`).doc(sessionId).delete();
+      return 1;
+    } catch (error) {
+      console.error('Error deleting upload session:', error);
+      throw error;
+    }
+  }
+
+  async countOpenUploadSessions(tokenId, clientIp) {
+    try {
+      const snapshot = await this.db.collection(`${this.collectionPrefix}_upload_sessions`)
+        .where('tokenId', '==', tokenId)
+        .where('clientIp', '==', clientIp)
+        .get();
+      
+      const now = new Date().toISOString();
+      return snapshot.docs.filter(doc => doc.data().status === 'active' && doc.data().expiresAt > now).length;
+    } catch (error) {
+      console.error('Error counting open upload sessions:', error);
+      throw error;
+    }
+  }
+
+  async getExpiredUploadSessions() {
+    try {
+      const snapshot = await this.db.collection(`${this.collectionPrefix}_upload_sessions`)
+        .where('expiresAt', '<=', new Date().toISOString())
+        .get();
+      
+      return snapshot.docs.map(doc => ({ id: doc.id, status: doc.data().status }));
+    } catch (error) {
+      console.error('Error getting expired upload sessions:', error);
+      throw error;
+    }
+  }
+
+  async markUploadToDrive(uploadId) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_uploads`).doc(uploadId).update({
+        status: 'delivered',
+        uploadedToDrive: true,
+        uploadedToDriveAt: new Date()
+      });
+      
+      return 1;
+    } catch (error) {
+      console.error('Error marking upload as delivered:', error);
+      throw error;
+    }
+  }
+
+  // Delivery job queue (job document ID is the upload ID, so job_id === upload id)
+  // Queues (or re-queues with a fresh attempt budget) the Drive delivery of an upload
+  async enqueueDeliveryJob(uploadId) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_delivery_jobs`).doc(uploadId).set({
+        uploadId,
+        status: 'queued',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        lastError: null,
+        updatedAt: new Date()
+      }, { merge: true });
+      
+      return 1;
+    } catch (error) {
+      console.error('Error enqueueing delivery job:', error);
+      throw error;
+    }
+  }
+
+  async getDueDeliveryJobs(limit = 100) {
+    try {
+      const snapshot = await this.db.collection(`${this.collectionPrefix}_delivery_jobs`)
+        .where('status', '==', 'queued')
+        .where('nextAttemptAt', '<=', new Date())
+        .orderBy('nextAttemptAt', 'asc')
+        .limit(limit)
+        .get();
+      
+      const tokens = new Map();
+      const jobs = [];
+      
+      for (const jobDoc of snapshot.docs) {
+        const job = jobDoc.data();
+        const uploadDoc = await this.db.collection(`${this.collectionPrefix}_uploads`).doc(job.uploadId).get();
+        if (!uploadDoc.exists) {
+          continue;
+        }
+        
+        const upload = uploadDoc.data();
+        const token = await this.getTokenData(upload.tokenId, tokens);
+        if (!token) {
+          continue;
+        }
+        
+        jobs.push({
+          ...this.toDeliveryRow(uploadDoc.id, upload, token),
+          job_id: jobDoc.id,
+          attempts: job.attempts || 0
+        });
+      }
+      
+      return jobs;
+    } catch (error) {
+      console.error('Error getting due delivery jobs:', error);
+      throw error;
+    }
+  }
+
+  async completeDeliveryJob(jobId) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_delivery_jobs`).doc(jobId).update({
+        status: 'completed',
+        lastError: null,
+        updatedAt: new Date()
+      });
+      
+      return 1;
+    } catch (error) {
+      console.error('Error completing delivery job:', error);
+      throw error;
+    }
+  }
+
+  // Malware found: the job is finished without delivery and never picked up again
+  async blockDeliveryJob(jobId, reason) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_delivery_jobs`).doc(jobId).update({
+        status: 'blocked',
+        lastError: reason,
+        updatedAt: new Date()
+      });
+      
+      await this.logEvent(null, 'delivery_job_blocked', { uploadId: jobId, reason });
+      
+      return 1;
+    } catch (error) {
+      console.error('Error blocking delivery job:', error);
+      throw error;
+    }
+  }
+
+  // Records a failed attempt; a null nextAttemptAt moves the job to the dead-letter state
+  async failDeliveryJob(jobId, errorMessage, nextAttemptAt) {
+    try {
+      const jobRef = this.db.collection(`${this.collectionPrefix}_delivery_jobs`).doc(jobId);
+      const job = (await jobRef.get()).data() || {};
+      
+      await jobRef.update({
+        attempts: (job.attempts || 0) + 1,
+        status: nextAttemptAt ? 'queued' : 'dead',
+        ...(nextAttemptAt && { nextAttemptAt }),
+        lastError: errorMessage,
+        updatedAt: new Date()
+      });
+      
+      if (!nextAttemptAt) {
+        await this.logEvent(null, 'delivery_job_dead', { uploadId: jobId, error: errorMessage });
+      }
+      
+      return 1;
+    } catch (error) {
+      console.error('Error failing delivery job:', error);
+      throw error;
+    }
+  }
+
+  // Dead-lettered and blocked jobs, plus queued jobs that have already failed at least once
+  async getFailedDeliveryJobs(userId) {
+    try {
+      const uploads = await this.getUserUploads(userId);
+      const failed = [];
+      
+      for (const upload of uploads) {
+        const jobDoc = await this.db.collection(`${this.collectionPrefix}_delivery_jobs`).doc(upload.id).get();
+        if (!jobDoc.exists) {
+          continue;
+        }
+        
+        const job = jobDoc.data();
+        if (job.status === 'dead' || job.status === 'blocked' || (job.status === 'queued' && job.attempts > 0)) {
+          failed.push({
+            ...upload,
+            job_id: jobDoc.id,
+            job_status: job.status,
+            attempts: job.attempts,
+            next_attempt_at: job.nextAttemptAt,
+            last_error: job.lastError,
+            last_attempt_at: job.updatedAt
+          });
+        }
+      }
+      
+      return failed;
+    } catch (error) {
+      console.error('Error getting failed delivery jobs:', error);
+      throw error;
+    }
+  }
+
+  // Webhook endpoints
+  toWebhookRow(doc) {
+    const webhook = doc.data();
+    return {
+      id: doc.id,
+      user_id: webhook.userId,
+      url: webhook.url,
+      secret: webhook.secret,
+      events: webhook.events || [],
+      active: webhook.active !== false,
+      created_at: webhook.createdAt,
+      updated_at: webhook.updatedAt
+    };
+  }
+
+  async createWebhook(userId, url, secret, events) {
+    try {
+      const docRef = await this.db.collection(`${this.collectionPrefix}_webhooks`).add({
+        userId,
+        url,
+        secret,
+        events,
+        active: true,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+      
+      return docRef.id;
+    } catch (error) {
+      console.error('Error creating webhook:', error);
+      throw error;
+    }
+  }
+
+  async getWebhooks(userId) {
+    try {
+      const snapshot = await this.db.collection(`${this.collectionPrefix}_webhooks`)
+        .where('userId', '==', userId)
+        .orderBy('createdAt', 'desc')
+        .get();
+      
+      return snapshot.docs.map(doc => this.toWebhookRow(doc));
+    } catch (error) {
+      console.error('Error getting webhooks:', error);
+      throw error;
+    }
+  }
+
+  async getWebhookById(webhookId) {
+    try {
+      const doc = await this.db.collection(`${this.collectionPrefix}_webhooks`).doc(webhookId).get();
+      return doc.exists ? this.toWebhookRow(doc) : null;
+    } catch (error) {
+      console.error('Error getting webhook:', error);
+      throw error;
+    }
+  }
+
+  async getActiveWebhooksForEvent(userId, eventType) {
+    try {
+      const snapshot = await this.db.collection(`${this.collectionPrefix}_webhooks`)
+        .where('userId', '==', userId)
+        .where('events', 'array-contains', eventType)
+        .get();
+      
+      return snapshot.docs.map(doc => this.toWebhookRow(doc)).filter(webhook => webhook.active);
+    } catch (error) {
+      console.error('Error getting webhooks for event:', error);
+      throw error;
+    }
+  }
+
+  async updateWebhook(webhookId, { url, events, active }) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_webhooks`).doc(webhookId).update({
+        url,
+        events,
+        active: !!active,
+        updatedAt: new Date()
+      });
+      return 1;
+    } catch (error) {
+      console.error('Error updating webhook:', error);
+      throw error;
+    }
+  }
+
+  async deleteWebhook(webhookId) {
+    try {
+      const deliveries = await this.db.collection(`${this.collectionPrefix}_webhook_deliveries`)
+        .where('webhookId', '==', webhookId)
+        .get();
+      
+      // Batches are capped at 500 writes
+      const refs = [...deliveries.docs.map(doc => doc.ref), this.db.collection(`${this.collectionPrefix}_webhooks`).doc(webhookId)];
+      for (let i = 0; i < refs.length; i += 500) {
+        const batch = this.db.batch();
+        refs.slice(i, i + 500).forEach(ref => batch.delete(ref));
+        await batch.commit();
+      }
+      
+      return 1;
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      throw error;
+    }
+  }
+
+  // Webhook delivery queue and log
+  toWebhookDeliveryRow(doc) {
+    const delivery = doc.data();
+    return {
+      id: doc.id,
+      webhook_id: delivery.webhookId,
+      event_id: delivery.eventId,
+      event_type: delivery.eventType,
+      payload: delivery.payload,
+      status: delivery.status,
+      attempts: delivery.attempts || 0,
+      next_attempt_at: delivery.nextAttemptAt,
+      response_status: delivery.responseStatus || null,
+      last_error: delivery.lastError || null,
+      created_at: delivery.createdAt,
+      updated_at: delivery.updatedAt
+    };
+  }
+
+  async createWebhookDelivery(webhookId, eventId, eventType, payload) {
+    try {
+      const docRef = await this.db.collection(`${this.collectionPrefix}_webhook_deliveries`).add({
+        webhookId,
+        eventId,
+        eventType,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        responseStatus: null,
+        lastError: null,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+      
+      return docRef.id;
+    } catch (error) {
+      console.error('Error creating webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  async getDueWebhookDeliveries(limit = 100) {
+    try {
+      const snapshot = await this.db.collection(`${this.collectionPrefix}_webhook_deliveries`)
+        .where('status', '==', 'pending')
+        .where('nextAttemptAt', '<=', new Date())
+        .orderBy('nextAttemptAt', 'asc')
+        .limit(limit)
+        .get();
+      
+      const webhooks = new Map();
+      const deliveries = [];
+      
+      for (const doc of snapshot.docs) {
+        const delivery = this.toWebhookDeliveryRow(doc);
+        if (!webhooks.has(delivery.webhook_id)) {
+          webhooks.set(delivery.webhook_id, await this.getWebhookById(delivery.webhook_id));
+        }
+        
+        const webhook = webhooks.get(delivery.webhook_id);
+        if (!webhook || !webhook.active) {
+          continue;
+        }
+        deliveries.push({ ...delivery, url: webhook.url, secret: webhook.secret });
+      }
+      
+      return deliveries;
+    } catch (error) {
+      console.error('Error getting due webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  async completeWebhookDelivery(deliveryId, responseStatus) {
+    try {
+      const deliveryRef = this.db.collection(`${this.collectionPrefix}_webhook_deliveries`).doc(deliveryId);
+      const delivery = (await deliveryRef.get()).data() || {};
+      
+      await deliveryRef.update({
+        status: 'delivered',
+        attempts: (delivery.attempts || 0) + 1,
+        responseStatus,
+        lastError: null,
+        updatedAt: new Date()
+      });
+      return 1;
+    } catch (error) {
+      console.error('Error completing webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  // Records a failed attempt; a null nextAttemptAt gives up on the delivery
+  async failWebhookDelivery(deliveryId, responseStatus, errorMessage, nextAttemptAt) {
+    try {
+      const deliveryRef = this.db.collection(`${this.collectionPrefix}_webhook_deliveries`).doc(deliveryId);
+      const delivery = (await deliveryRef.get()).data() || {};
+      
+      await deliveryRef.update({
+        attempts: (delivery.attempts || 0) + 1,
+        status: nextAttemptAt ? 'pending' : 'failed',
+        ...(nextAttemptAt && { nextAttemptAt }),
+        responseStatus,
+        lastError: errorMessage,
+        updatedAt: new Date()
+      });
+      return 1;
+    } catch (error) {
+      console.error('Error failing webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  async getWebhookDeliveries(webhookId, limit = 50) {
+    try {
+      const snapshot = await this.db.collection(`${this.collectionPrefix}_webhook_deliveries`)
+        .where('webhookId', '==', webhookId)
+        .orderBy('createdAt', 'desc')
+        .limit(limit)
+        .get();
+      
+      return snapshot.docs.map(doc => {
+        const delivery = this.toWebhookDeliveryRow(doc);
+        return { ...delivery, payload: JSON.parse(delivery.payload) };
+      });
+    } catch (error) {
+      console.error('Error getting webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  async hasRecentWebhookDelivery(webhookId, eventType, since) {
+    try {
+      const snapshot = await this.db.collection(`${this.collectionPrefix}_webhook_deliveries`)
+        .where('webhookId', '==', webhookId)
+        .where('eventType', '==', eventType)
+        .where('createdAt', '>=', since)
+        .limit(1)
+        .get();
+      
+      return !snapshot.empty;
+    } catch (error) {
+      console.error('Error checking recent webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  // Tokens that expired after `since` and haven't had their token.expired webhook queued
+  async getNewlyExpiredTokens(since) {
+    try {
+      const snapshot = await this.db.collection(`${this.collectionPrefix}_tokens`)
+        .where('expiresAt', '<=', new Date())
+        .where('expiresAt', '>', since)
+        .get();
+      
+      return snapshot.docs
+        .filter(doc => !doc.data().expiredNotifiedAt && doc.data().active !== false)
+        .map(doc => {
+          const token = doc.data();
+          return {
+            id: doc.id,
+            user_id: token.userId,
+            token: token.token,
+            event_name: token.eventName,
+            expires_at: token.expiresAt.toDate()
+          };
+        });
+    } catch (error) {
+      console.error('Error getting newly expired tokens:', error);
+      throw error;
+    }
+  }
+
+  async markTokenExpiryNotified(tokenId) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_tokens`).doc(tokenId).update({ expiredNotifiedAt: new Date() });
+      return 1;
+    } catch (error) {
+      console.error('Error marking token expiry notified:', error);
+      throw error;
+    }
+  }
+
+  // Email notifications (preferences are keyed by user ID; users without one get the daily digest)
+  async getNotificationPreferences(userId) {
+    try {
+      const doc = await this.db.collection(`${this.collectionPrefix}_notification_preferences`).doc(String(userId)).get();
+      const preferences = doc.exists ? doc.data() : {};
+      
+      return {
+        user_id: userId,
+        upload_emails: preferences.uploadEmails || 'daily',
+        expiry_warnings: preferences.expiryWarnings !== false,
+        notified_until: preferences.notifiedUntil ? preferences.notifiedUntil.toDate() : null
+      };
+    } catch (error) {
+      console.error('Error getting notification preferences:', error);
+      throw error;
+    }
+  }
+
+  // Changing the upload email frequency restarts it from now rather than mailing the backlog
+  async saveNotificationPreferences(userId, { uploadEmails, expiryWarnings }) {
+    try {
+      const current = await this.getNotificationPreferences(userId);
+      
+      await this.db.collection(`${this.collectionPrefix}_notification_preferences`).doc(String(userId)).set({
+        uploadEmails,
+        expiryWarnings: !!expiryWarnings,
+        ...(current.upload_emails !== uploadEmails && { notifiedUntil: new Date() }),
+        updatedAt: new Date()
+      }, { merge: true });
+      
+      return 1;
+    } catch (error) {
+      console.error('Error saving notification preferences:', error);
+      throw error;
+    }
+  }
+
+  async getUploadNotificationRecipients(frequency) {
+    try {
+      const [users, preferences] = await Promise.all([
+        this.db.collection(`${this.collectionPrefix}_users`).get(),
+        this.db.collection(`${this.collectionPrefix}_notification_preferences`).get()
+      ]);
+      const preferencesByUser = new Map(preferences.docs.map(doc => [doc.id, doc.data()]));
+      
+      return users.docs
+        .filter(doc => ((preferencesByUser.get(doc.id) || {}).uploadEmails || 'daily') === frequency)
+        .map(doc => {
+          const notifiedUntil = (preferencesByUser.get(doc.id) || {}).notifiedUntil;
+          return {
+            user_id: doc.id,
+            email: doc.data().email,
+            name: doc.data().name,
+            notified_until: notifiedUntil ? notifiedUntil.toDate() : null
+          };
+        });
+    } catch (error) {
+      console.error('Error getting upload notification recipients:', error);
+      throw error;
+    }
+  }
+
+  // Uploads to the user's tokens in (since, until], oldest first; rejected uploads are left out
+  async getUploadsForNotification(userId, since, until) {
+    try {
+      const tokens = await this.db.collection(`${this.collectionPrefix}_tokens`)
+        .where('userId', '==', userId)
+        .get();
+      
+      const uploads = [];
+      for (const tokenDoc of tokens.docs) {
+        const snapshot = await this.db.collection(`${this.collectionPrefix}_uploads`)
+          .where('tokenId', '==', tokenDoc.id)
+          .where('uploadedAt', '>', since)
+          .where('uploadedAt', '<=', until)
+          .get();
+        
+        for (const doc of snapshot.docs) {
+          const upload = doc.data();
+          if (upload.reviewStatus === 'rejected') {
+            continue;
+          }
+          
+          uploads.push({
+            id: doc.id,
+            token_id: tokenDoc.id,
+            event_name: tokenDoc.data().eventName,
+            original_name: upload.originalName,
+            uploader_name: upload.guestName,
+            guest_message: upload.guestMessage || null,
+            size: upload.size,
+            mimetype: upload.mimetype,
+            review_status: upload.reviewStatus || null,
+            uploaded_at: upload.uploadedAt.toDate()
+          });
+        }
+      }
+      
+      return uploads.sort((a, b) => a.uploaded_at - b.uploaded_at);
+    } catch (error) {
+      console.error('Error getting uploads for notification:', error);
+      throw error;
+    }
+  }
+
+  async markUploadNotificationsSent(userId, until) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_notification_preferences`).doc(String(userId))
+        .set({ notifiedUntil: until }, { merge: true });
+      return 1;
+    } catch (error) {
+      console.error('Error marking upload notifications sent:', error);
+      throw error;
+    }
+  }
+
+  // Tokens closing in (now, until] whose owner hasn't been warned yet
+  async getTokensExpiringSoon(until) {
+    try {
+      const snapshot = await this.db.collection(`${this.collectionPrefix}_tokens`)
+        .where('expiresAt', '>', new Date())
+        .where('expiresAt', '<=', until)
+        .get();
+      
+      const tokens = [];
+      for (const doc of snapshot.docs) {
+        const token = doc.data();
+        if (token.expiryWarningSentAt || token.active === false) {
+          continue;
+        }
+        
+        const user = await this.getUserById(token.userId);
+        if (!user) {
+          continue;
+        }
+        tokens.push({
+          id: doc.id,
+          user_id: token.userId,
+          event_name: token.eventName,
+          expires_at: token.expiresAt.toDate(),
+          email: user.email,
+          name: user.name
+        });
+      }
+      
+      return tokens;
+    } catch (error) {
+      console.error('Error getting tokens expiring soon:', error);
+      throw error;
+    }
+  }
+
+  async markTokenExpiryWarningSent(tokenId) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_tokens`).doc(tokenId).update({ expiryWarningSentAt: new Date() });
+      return 1;
+    } catch (error) {
+      console.error('Error marking token expiry warning sent:', error);
+      throw error;
+    }
+  }
+
+  // Active subscriptions whose period ends in (now, until] and whose owner hasn't been warned yet
+  async getSubscriptionsExpiringSoon(until) {
+    try {
+      const snapshot = await this.db.collection(`${this.collectionPrefix}_subscriptions`)
+        .where('status', '==', 'active')
+        .where('currentPeriodEnd', '>', new Date())
+        .where('currentPeriodEnd', '<=', until)
+        .get();
+      
+      const subscriptions = [];
+      for (const doc of snapshot.docs) {
+        const subscription = doc.data();
+        if (subscription.expiryWarningSentAt) {
+          continue;
+        }
+        
+        const [user, planDoc] = await Promise.all([
+          this.getUserById(subscription.userId),
+          this.db.collection(`${this.collectionPrefix}_subscription_plans`).doc(String(subscription.planId)).get()
+        ]);
+        if (!user) {
+          continue;
+        }
+        subscriptions.push({
+          id: doc.id,
+          user_id: subscription.userId,
+          current_period_end: subscription.currentPeriodEnd.toDate(),
+          plan_name: planDoc.exists ? planDoc.data().name : null,
+          email: user.email,
+          name: user.name
+        });
+      }
+      
+      return subscriptions;
+    } catch (error) {
+      console.error('Error getting subscriptions expiring soon:', error);
+      throw error;
+    }
+  }
+
+  async markSubscriptionExpiryWarningSent(subscriptionId) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_subscriptions`).doc(subscriptionId).update({ expiryWarningSentAt: new Date() });
+      return 1;
+    } catch (error) {
+      console.error('Error marking subscription expiry warning sent:', error);
+      throw error;
+    }
+  }
+
+  // Statistics
+  async getUserStats(userId) {
+    try {
+      const tokens = await this.getUserTokens(userId);
+      const uploads = await this.getUserUploads(userId);
+      
+      const activeTokens = tokens.filter(t => 
+        !t.expiresAt || new Date(t.expiresAt.toDate()) > new Date()
+      ).length;
+      
+      await this.logEvent(userId, 'stats_viewed', { 
+        totalTokens: tokens.length,
+        totalUploads: uploads.length,
+        activeTokens 
+      });
+      
+      return {
+        total_tokens: tokens.length,
+        total_uploads: uploads.length,
+        active_tokens: activeTokens
+      };
+    } catch (error) {
+      console.error('Error getting user stats:', error);
+      throw error;
+    }
+  }
+
+  // Google Drive tokens (for OAuth integration)
+  async saveGoogleDriveTokens(userId, accessToken, refreshToken, expiresAt) {
+    try {
+      // Google only returns a refresh token on first consent, so keep the stored one when absent
+      const tokenData = {
+        userId,
+        accessToken,
+        ...(refreshToken && { refreshToken }),
+        expiresAt: new Date(expiresAt),
+        needsReconnect: false,
+        reconnectReason: null,
+        updatedAt: new Date()
+      };
+      
+      await this.db.collection(`${this.collectionPrefix}_google_drive_tokens`)
+        .doc(userId)
+        .set(tokenData, { merge: true });
+      
+      await this.logEvent(userId, 'google_drive_tokens_saved', {});
+      
+      return true;
+    } catch (error) {
+      console.error('Error saving Google Drive tokens:', error);
+      throw error;
+    }
+  }
+
+  async getGoogleDriveTokens(userId) {
+    try {
+      const doc = await this.db.collection(`${this.collectionPrefix}_google_drive_tokens`)
+        .doc(userId)
+        .get();
+      
+      if (!doc.exists) {
+        return null;
+      }
+      
+      // Same column names as the SQLite backend so GoogleDriveUploader stays backend-agnostic
+      const tokens = doc.data();
+      return {
+        user_id: tokens.userId,
+        access_token: tokens.accessToken,
+        refresh_token: tokens.refreshToken || null,
+        expires_at: tokens.expiresAt && tokens.expiresAt.toDate ? tokens.expiresAt.toDate() : tokens.expiresAt,
+        needs_reconnect: !!tokens.needsReconnect,
+        reconnect_reason: tokens.reconnectReason || null,
+        updated_at: tokens.updatedAt
+      };
+    } catch (error) {
+      console.error('Error getting Google Drive tokens:', error);
+      throw error;
+    }
+  }
+
+  async updateGoogleDriveToken(userId, accessToken, expiresAt) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_google_drive_tokens`)
+        .doc(userId)
+        .update({
+          accessToken,
+          expiresAt: new Date(expiresAt),
+          updatedAt: new Date()
+        });
+      
+      return true;
+    } catch (error) {
+      console.error('Error updating Google Drive token:', error);
+      throw error;
+    }
+  }
+
+  async markGoogleDriveReconnectRequired(userId, reason) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_google_drive_tokens`)
+        .doc(userId)
+        .update({
+          needsReconnect: true,
+          reconnectReason: reason,
+          updatedAt: new Date()
+        });
+      
+      await this.logEvent(userId, 'google_drive_reconnect_required', { reason });
+      
+      return true;
+    } catch (error) {
+      console.error('Error marking Google Drive reconnect required:', error);
+      throw error;
+    }
+  }
+
+  // Delivery destinations (users without a document deliver to Google Drive)
+  async getDeliveryDestination(userId) {
+    try {
+      const doc = await this.db.collection(`${this.collectionPrefix}_delivery_destinations`)
+        .doc(userId)
+        .get();
+      
+      if (!doc.exists) {
+        return null;
+      }
+      
+      const destination = doc.data();
+      return {
+        user_id: destination.userId,
+        type: destination.type,
+        config: destination.config || {},
+        needs_reconnect: !!destination.needsReconnect,
+        reconnect_reason: destination.reconnectReason || null,
+        updated_at: destination.updatedAt
+      };
+    } catch (error) {
+      console.error('Error getting delivery destination:', error);
+      throw error;
+    }
+  }
+
+  async saveDeliveryDestination(userId, type, config) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_delivery_destinations`)
+        .doc(userId)
+        .set({
+          userId,
+          type,
+          config: config || {},
+          needsReconnect: false,
+          reconnectReason: null,
+          updatedAt: new Date()
+        });
+      
+      await this.logEvent(userId, 'delivery_destination_saved', { type });
+      
+      return true;
+    } catch (error) {
+      console.error('Error saving delivery destination:', error);
+      throw error;
+    }
+  }
+
+  async markDeliveryDestinationReconnectRequired(userId, reason) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_delivery_destinations`)
+        .doc(userId)
+        .update({
+          needsReconnect: true,
+          reconnectReason: reason,
+          updatedAt: new Date()
+        });
+      
+      await this.logEvent(userId, 'delivery_destination_reconnect_required', { reason });
+      
+      return true;
+    } catch (error) {
+      console.error('Error marking delivery destination reconnect required:', error);
+      throw error;
+    }
+  }
+
+  async updateDriveFolderName(userId, folderName) {
+    try {
+      await this.db.collection(`${this.collectionPrefix}_users`).doc(userId).update({
+        driveFolderName: folderName
+      });
+      
+      return 1;
+    } catch (error) {
+      console.error('Error updating Drive folder name:', error);
+      throw error;
+    }
+  }
+
+  // Subscription management
+  async getSubscriptionByUserId(userId) {
+    try {
+      const snapshot = await this.db.collection(`${this.collectionPrefix}_subscriptions`)
+        .where('userId', '==', userId)
+        .where('status', '==', 'active')
+        .limit(1)
+        .get();
+      
+      if (snapshot.empty) {
+        return null;
+      }
+      
+      const doc = snapshot.docs[0];
+      return { id: doc.id, ...doc.data() };
+    } catch (error) {
+      console.error('Error getting subscription:', error);
+      throw error;
+    }
+  }
+
+  // Active subscription joined with its plan, shaped like the SQLite backend's row
+  async getUserSubscription(userId) {
+    try {
+      const subscription = await this.getSubscriptionByUserId(userId);
+      if (!subscription) {
+        return null;
+      }
+      
+      const planDoc = await this.db.collection(`${this.collectionPrefix}_subscription_plans`)
+        .doc(String(subscription.planId))
+        .get();
+      const plan = planDoc.exists ? planDoc.data() : {};
+      
+      return {
+        id: subscription.id,
+        user_id: subscription.userId,
+        plan_id: subscription.planId,
+        status: subscription.status,
+        current_period_start: subscription.currentPeriodStart || null,
+        current_period_end: subscription.currentPeriodEnd || null,
+        name: plan.name,
+        max_storage_gb: plan.maxStorageGb,
+        max_files: plan.maxFiles,
+        is_trial: !!plan.isTrial,
+        allow_video: !!plan.allowVideo,
+        max_file_size_mb: plan.maxFileSizeMb
+      };
+    } catch (error) {
+      console.error('Error getting user subscription:', error);
+      throw error;
+    }
+  }
+
+  // Usage is one document per subscription, keyed by the subscription ID
+  usageTrackingRef(subscriptionId) {
+    return this.db.collection(`${this.collectionPrefix}_usage_tracking`).doc(subscriptionId);
+  }
+
+  // current_period_end is a Firestore Timestamp, which new Date() can't read
+  isSubscriptionExpired(subscription) {
+    const periodEnd = subscription.current_period_end;
+    if (!periodEnd) {
+      return false;
+    }
+    return new Date() > (typeof periodEnd.toDate === 'function' ? periodEnd.toDate() : new Date(periodEnd));
+  }
+
+  async checkUsageLimits(userId, fileSize) {
+    try {
+      const subscription = await this.getUserSubscription(userId);
+      if (!subscription) {
+        return { allowed: false, reason: 'No active subscription' };
+      }
+      
+      if (this.isSubscriptionExpired(subscription)) {
+        return { allowed: false, reason: 'Subscription expired' };
+      }
+      
+      const usageDoc = await this.usageTrackingRef(subscription.id).get();
+      const usage = usageDoc.exists ? usageDoc.data() : {};
+      const currentFiles = usage.fileCount || 0;
+      const currentStorageGB = usage.storageUsedGb || 0;
+      
+      if (subscription.max_files && currentFiles >= subscription.max_files) {
+        return { allowed: false, reason: `File limit exceeded (${subscription.max_files} files)` };
+      }
+      
+      if (subscription.max_storage_gb && currentStorageGB + fileSize / (1024 * 1024 * 1024) > subscription.max_storage_gb) {
+        return { allowed: false, reason: `Storage limit exceeded (${subscription.max_storage_gb}GB)` };
+      }
+      
+      return {
+        allowed: true,
+        usage: {
+          currentFiles,
+          currentStorageGB,
+          maxFiles: subscription.max_files,
+          maxStorageGB: subscription.max_storage_gb
+        }
+      };
+    } catch (error) {
+      console.error('Error checking usage limits:', error);
+      throw error;
+    }
+  }
+
+  // Check and increment in one transaction so concurrent uploads can't overshoot the limits
+  async reserveUsage(userId, fileCount, totalSize) {
+    try {
+      const subscription = await this.getUserSubscription(userId);
+      if (!subscription) {
+        return { allowed: false, reason: 'No active subscription' };
+      }
+      
+      if (this.isSubscriptionExpired(subscription)) {
+        return { allowed: false, reason: 'Subscription expired' };
+      }
+      
+      const usageRef = this.usageTrackingRef(subscription.id);
+      const sizeGB = totalSize / (1024 * 1024 * 1024);
+      
+      return await this.db.runTransaction(async (transaction) => {
+        const usageDoc = await transaction.get(usageRef);
+        const usage = usageDoc.exists ? usageDoc.data() : {};
+        const fileTotal = (usage.fileCount || 0) + fileCount;
+        const storageTotal = (usage.storageUsedGb || 0) + sizeGB;
+        
+        if (subscription.max_files && fileTotal > subscription.max_files) {
+          return { allowed: false, reason: `File limit exceeded (${subscription.max_files} files)` };
+        }
+        
+        if (subscription.max_storage_gb && storageTotal > subscription.max_storage_gb) {
+          return { allowed: false, reason: `Storage limit exceeded (${subscription.max_storage_gb}GB)` };
+        }
+        
+        transaction.set(usageRef, {
+          userId,
+          subscriptionId: subscription.id,
+          fileCount: fileTotal,
+          storageUsedGb: storageTotal,
+          updatedAt: new Date()
+        }, { merge: true });
+        
+        return { allowed: true };
+      });
+    } catch (error) {
+      console.error('Error reserving usage:', error);
+      throw error;
+    }
+  }
+
+  // Give back usage reserved for files that were never stored
+  async releaseUsage(userId, fileCount, totalSize) {
+    try {
+      const subscription = await this.getUserSubscription(userId);
+      if (!subscription) {
+        return 0;
+      }
+      
+      const usageRef = this.usageTrackingRef(subscription.id);
+      await this.db.runTransaction(async (transaction) => {
+        const usageDoc = await transaction.get(usageRef);
+        if (!usageDoc.exists) {
+          return;
+        }
+        
+        const usage = usageDoc.data();
+        transaction.update(usageRef, {
+          fileCount: Math.max((usage.fileCount || 0) - fileCount, 0),
+          storageUsedGb: Math.max((usage.storageUsedGb || 0) - totalSize / (1024 * 1024 * 1024), 0),
+          updatedAt: new Date()
+        });
+      });
+      
+      return 1;
+    } catch (error) {
+      console.error('Error releasing usage:', error);
       throw error;
     }
   }
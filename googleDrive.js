@@ -8,6 +8,9 @@ class GoogleDriveUploader {
     this.auth = null;
     this.drive = null;
     this.db = database;
+    this.userId = null;
+    this.folderName = 'GuestStory';
+    this.verifiedFolders = new Set();
   }
 
   /**
@@ -25,13 +28,26 @@ class GoogleDriveUploader {
         throw new Error('User has not connected to Google Drive');
       }
 
+      if (tokens.needs_reconnect) {
+        throw new Error(`Google Drive reconnect required: ${tokens.reconnect_reason || 'authorization revoked'}`);
+      }
+
       // Check if token is expired
       const now = new Date();
       const expiresAt = new Date(tokens.expires_at);
       
-      if (now >= expiresAt && tokens.refresh_token) {
+      if (now >= expiresAt) {
+        if (!tokens.refresh_token) {
+          await this.db.markGoogleDriveReconnectRequired(userId, 'Access token expired and no refresh token is stored');
+          throw new Error('Access token expired and no refresh token is stored');
+        }
+
         // Refresh the token
-        await this.refreshAccessToken(userId, tokens.refresh_token);
+        const refreshed = await this.refreshAccessToken(userId, tokens.refresh_token);
+        if (!refreshed) {
+          throw new Error('Failed to refresh access token');
+        }
+
         // Get updated tokens
         const refreshedTokens = await this.db.getGoogleDriveTokens(userId);
         tokens.access_token = refreshedTokens.access_token;
@@ -46,11 +62,29 @@ class GoogleDriveUploader {
       
       oAuth2Client.setCredentials({
         access_token: tokens.access_token,
-        refresh_token: tokens.refresh_token
+        refresh_token: tokens.refresh_token,
+        expiry_date: new Date(tokens.expires_at).getTime()
+      });
+
+      // googleapis refreshes expired access tokens on its own during long runs; persist them
+      oAuth2Client.on('tokens', (credentials) => {
+        if (credentials.access_token) {
+          const refreshedExpiresAt = new Date(credentials.expiry_date || Date.now() + 3600000).toISOString();
+          this.db.updateGoogleDriveToken(userId, credentials.access_token, refreshedExpiresAt)
+            .catch(error => console.error('Failed to persist refreshed access token:', error.message));
+        }
       });
       
       this.auth = oAuth2Client;
       this.drive = google.drive({ version: 'v3', auth: this.auth });
+      this.userId = userId;
+
+      // Deliver into the folder the user picked in their settings
+      const user = await this.db.getUserById(userId);
+      const folderName = user && (user.drive_folder_name || user.driveFolderName);
+      if (folderName) {
+        this.folderName = folderName;
+      }
       
       console.log(`Google Drive API initialized for user ${userId}`);
       return true;
@@ -75,61 +109,78 @@ class GoogleDriveUploader {
       });
       
       const { credentials } = await oAuth2Client.refreshAccessToken();
-      const expiresAt = new Date(Date.now() + (credentials.expiry_date - Date.now())).toISOString();
+      const expiresAt = new Date(credentials.expiry_date).toISOString();
       
       await this.db.updateGoogleDriveToken(userId, credentials.access_token, expiresAt);
       
       console.log('Access token refreshed successfully');
       return true;
     } catch (error) {
-      console.error('Failed to refresh access token:', error);
+      console.error('Failed to refresh access token:', error.message);
+
+      if (this.isReconnectError(error)) {
+        await this.db.markGoogleDriveReconnectRequired(userId, 'Refresh token revoked or expired');
+      }
       return false;
     }
   }
 
   /**
-   * Find or create the GuestStory folder in Google Drive
+   * Whether an error means the user's Drive authorization is gone and they must reconnect
    */
-  async findOrCreateGuestStoryFolder() {
+  isReconnectError(error) {
+    const reason = error.response && error.response.data && error.response.data.error;
+    return reason === 'invalid_grant' || /invalid_grant/.test(error.message || '');
+  }
+
+  /**
+   * Flag the user's Drive connection so they are asked to reconnect
+   */
+  async markReconnectRequired(reason) {
+    return this.db.markGoogleDriveReconnectRequired(this.userId, reason);
+  }
+
+  /**
+   * Find a folder by name (optionally under a parent), creating it if missing
+   */
+  async findOrCreateFolder(folderName, parentFolderId = null) {
     if (!this.drive) {
       throw new Error('Google Drive API not initialized');
     }
 
     try {
-      const folderName = 'GuestStory';
-      
-      // Search for existing GuestStory folder
+      const escapedName = folderName.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+      const parentQuery = parentFolderId ? ` and '${parentFolderId}' in parents` : '';
+
+      // Search for existing folder
       const response = await this.drive.files.list({
-        q: `name='${folderName}' and mimeType='application/vnd.google-apps.folder' and trashed=false`,
+        q: `name='${escapedName}' and mimeType='application/vnd.google-apps.folder' and trashed=false${parentQuery}`,
         fields: 'files(id, name)',
       });
 
       if (response.data.files.length > 0) {
-        console.log(`Found existing GuestStory folder: ${response.data.files[0].id}`);
+        console.log(`Found existing ${folderName} folder: ${response.data.files[0].id}`);
         return response.data.files[0].id;
       }
 
-      // Create new GuestStory folder if it doesn't exist
-      const folderMetadata = {
-        name: folderName,
-        mimeType: 'application/vnd.google-apps.folder'
-      };
-
-      const folder = await this.drive.files.create({
-        resource: folderMetadata,
-        fields: 'id, name'
-      });
-
-      console.log(`Created GuestStory folder: ${folder.data.id}`);
-      return folder.data.id;
+      // Create new folder if it doesn't exist
+      const folder = await this.createFolder(folderName, parentFolderId);
+      return folder.id;
     } catch (error) {
-      console.error('Error finding/creating GuestStory folder:', error);
+      console.error(`Error finding/creating ${folderName} folder:`, error);
       throw error;
     }
   }
 
   /**
-   * Upload a file to the GuestStory folder in Google Drive
+   * Find or create the user's delivery folder (GuestStory unless they chose another name)
+   */
+  async findOrCreateGuestStoryFolder() {
+    return this.findOrCreateFolder(this.folderName);
+  }
+
+  /**
+   * Upload a file to the user's delivery folder in Google Drive
    */
   async uploadToGuestStory(filePath, fileName, mimeType) {
     if (!this.drive) {
@@ -137,10 +188,10 @@ class GoogleDriveUploader {
     }
 
     try {
-      // Get or create GuestStory folder
+      // Get or create delivery folder
       const guestStoryFolderId = await this.findOrCreateGuestStoryFolder();
       
-      // Upload file to GuestStory folder
+      // Upload file to delivery folder
       return await this.uploadFile(filePath, fileName, mimeType, guestStoryFolderId);
     } catch (error) {
       console.error('Error uploading to GuestStory:', error);
@@ -148,6 +199,100 @@ class GoogleDriveUploader {
     }
   }
 
+  /**
+   * Check that a stored folder ID still points at a live (not trashed) folder
+   */
+  async folderExists(folderId) {
+    if (this.verifiedFolders.has(folderId)) {
+      return true;
+    }
+
+    try {
+      const response = await this.drive.files.get({
+        fileId: folderId,
+        fields: 'id, trashed'
+      });
+
+      if (response.data.trashed) {
+        return false;
+      }
+
+      this.verifiedFolders.add(folderId);
+      return true;
+    } catch (error) {
+      if (error.code === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find or create the event's subfolder, reusing the folder ID stored on the token.
+   * `event` is the token row and is updated in place with any newly created folder IDs.
+   */
+  async findOrCreateEventFolder(event) {
+    if (!this.drive) {
+      throw new Error('Google Drive API not initialized');
+    }
+
+    if (event.drive_folder_id && await this.folderExists(event.drive_folder_id)) {
+      return event.drive_folder_id;
+    }
+
+    const guestStoryFolderId = await this.findOrCreateGuestStoryFolder();
+    const folder = await this.createFolder(event.event_name || 'Photo Collection', guestStoryFolderId);
+
+    // Guest folders lived under the old event folder, so start them over
+    event.drive_folder_id = folder.id;
+    event.drive_guest_folders = {};
+    this.verifiedFolders.add(folder.id);
+    await this.db.updateTokenDriveFolders(event.id, event.drive_folder_id, event.drive_guest_folders);
+
+    return folder.id;
+  }
+
+  /**
+   * Find or create a guest's folder inside the event folder
+   */
+  async findOrCreateGuestFolder(event, guestName) {
+    const eventFolderId = await this.findOrCreateEventFolder(event);
+    const name = (guestName || '').trim() || 'Anonymous';
+    const storedFolderId = event.drive_guest_folders[name];
+
+    if (storedFolderId && await this.folderExists(storedFolderId)) {
+      return storedFolderId;
+    }
+
+    const folder = await this.createFolder(name, eventFolderId);
+
+    event.drive_guest_folders[name] = folder.id;
+    this.verifiedFolders.add(folder.id);
+    await this.db.updateTokenDriveFolders(event.id, event.drive_folder_id, event.drive_guest_folders);
+
+    return folder.id;
+  }
+
+  /**
+   * Upload a file into its event folder, nested per guest when the token asks for it
+   */
+  async uploadToEventFolder(filePath, fileName, mimeType, event, guestName = null) {
+    if (!this.drive) {
+      throw new Error('Google Drive API not initialized');
+    }
+
+    try {
+      const folderId = event.organize_by_guest
+        ? await this.findOrCreateGuestFolder(event, guestName)
+        : await this.findOrCreateEventFolder(event);
+
+      return await this.uploadFile(filePath, fileName, mimeType, folderId);
+    } catch (error) {
+      console.error(`Error uploading to event folder ${event.event_name}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Upload a file to Google Drive
    */
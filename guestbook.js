@@ -0,0 +1,67 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+require('dotenv').config();
+
+// The built-in PDF fonts only cover Western European text; a TTF/OTF here renders any script
+const FONT_PATH = process.env.GUESTBOOK_FONT_PATH;
+
+/**
+ * Guestbook rows as CSV (UTF-8 with a BOM so spreadsheet apps detect the encoding).
+ * entries are { guest_name, message, upload_count, first_upload_at } rows.
+ */
+function toCsv(entries) {
+  const rows = [['Guest', 'Message', 'Files', 'First upload']];
+  for (const entry of entries) {
+    rows.push([entry.guest_name || 'Anonymous', entry.message, entry.upload_count, formatDate(entry.first_upload_at)]);
+  }
+
+  return '\ufeff' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  // Guests write these fields, so a leading =, +, - or @ must not turn into a spreadsheet formula
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatDate(value) {
+  const date = value && typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return isNaN(date) ? '' : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Render a printable guestbook into a writable stream (usually the response)
+ */
+function writePdf(entries, eventName, output) {
+  const doc = new PDFDocument({ size: 'A4', margin: 56, info: { Title: `${eventName} guestbook` } });
+  const regular = FONT_PATH ? fs.readFileSync(FONT_PATH) : 'Helvetica';
+  const bold = FONT_PATH ? regular : 'Helvetica-Bold';
+
+  doc.pipe(output);
+
+  doc.font(bold).fontSize(22).text(eventName, { align: 'center' });
+  doc.font(regular).fontSize(11).fillColor('#666666')
+    .text(`Guestbook · ${entries.length} message(s)`, { align: 'center' });
+  doc.moveDown(2);
+
+  for (const entry of entries) {
+    // Keep a guest's name with their message rather than stranding it at the foot of a page
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 80) {
+      doc.addPage();
+    }
+
+    doc.font(bold).fontSize(13).fillColor('#000000').text(entry.guest_name || 'Anonymous');
+    doc.font(regular).fontSize(11).fillColor('#000000').text(entry.message, { paragraphGap: 2 });
+    doc.fontSize(9).fillColor('#888888')
+      .text(`${entry.upload_count} file(s) · ${formatDate(entry.first_upload_at)}`);
+    doc.moveDown(1.2);
+  }
+
+  doc.end();
+}
+
+module.exports = { toCsv, writePdf };
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+
+// Gallery renditions by longest edge in pixels
+const PREVIEW_SIZES = {
+  thumbnail: 320,
+  preview: 1280
+};
+
+// Formats sharp can write back in place; others (GIF, BMP, HEIC) are delivered untouched
+const REWRITABLE_FORMATS = ['jpeg', 'png', 'webp'];
+
+// HEIC/HEIF from iPhones and AVIF from newer Android phones share the HEIF container
+const HEIF_EXTENSIONS = ['.heic', '.heif', '.avif'];
+const HEIF_MIMETYPES = ['image/heic', 'image/heif', 'image/heic-sequence', 'image/heif-sequence', 'image/avif'];
+
+function isHeifImage(originalName, mimetype) {
+  return HEIF_EXTENSIONS.includes(path.extname(originalName).toLowerCase()) && HEIF_MIMETYPES.includes(mimetype);
+}
+
+/**
+ * Decode the whole image to prove it is one, refusing pixel counts above maxPixels (decompression bombs).
+ * Resolves to { valid: true } or { valid: false, reason }.
+ */
+async function verifyImage(inputPath, maxPixels) {
+  let metadata;
+  try {
+    metadata = await sharp(inputPath, { limitInputPixels: false }).metadata();
+  } catch (error) {
+    return { valid: false, reason: 'Image could not be read' };
+  }
+
+  const pixels = (metadata.width || 0) * (metadata.height || 0);
+  if (pixels > maxPixels) {
+    return {
+      valid: false,
+      reason: `Image is too large to process (${Math.round(pixels / 1e6)} megapixels, the limit is ${Math.round(maxPixels / 1e6)})`
+    };
+  }
+
+  try {
+    await sharp(inputPath, { limitInputPixels: maxPixels, failOn: 'error' }).stats();
+    return { valid: true };
+  } catch (error) {
+    // Prebuilt sharp can't decode HEVC, so iPhone HEIC is only checked as far as its header
+    if (metadata.format === 'heif' && metadata.compression === 'hevc') {
+      return { valid: true };
+    }
+    return { valid: false, reason: 'Image data is corrupt or could not be decoded' };
+  }
+}
+
+/**
+ * Capture details from an image's EXIF, with dimensions as displayed (after orientation).
+ * takenAt is the camera's local time without a timezone, e.g. "2024-06-01T14:03:22".
+ * Resolves to null when the image can't be decoded.
+ */
+async function readImageMetadata(inputPath) {
+  try {
+    const metadata = await sharp(inputPath).metadata();
+    let exif = {};
+
+    if (metadata.exif) {
+      try {
+        exif = exifReader(metadata.exif);
+      } catch (error) {
+        console.warn(`Ignoring unreadable EXIF in ${path.basename(inputPath)}:`, error.message);
+      }
+    }
+
+    const image = exif.Image || {};
+    const photo = exif.Photo || {};
+    const takenAt = photo.DateTimeOriginal || image.DateTime;
+    const displayed = metadata.autoOrient || metadata;
+
+    return {
+      width: displayed.width,
+      height: displayed.height,
+      takenAt: takenAt instanceof Date && !isNaN(takenAt) ? takenAt.toISOString().slice(0, 19) : null,
+      cameraMake: image.Make ? image.Make.trim() : null,
+      cameraModel: image.Model ? image.Model.trim() : null,
+      hasGps: !!exif.GPSInfo
+    };
+  } catch (error) {
+    console.warn(`Could not read image metadata from ${path.basename(inputPath)}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Keep all metadata, or drop it (GPS, device, XMP) except the colour profile and capture time
+ */
+function applyMetadataPolicy(image, { stripMetadata = false, takenAt = null } = {}) {
+  if (!stripMetadata) {
+    return image.keepMetadata();
+  }
+
+  image = image.keepIccProfile();
+  if (takenAt) {
+    // Photo apps still sort stripped photos by when they were taken
+    image = image.withExif({ IFD2: { DateTimeOriginal: takenAt.replace('T', ' ').replace(/-/g, ':') } });
+  }
+  return image;
+}
+
+/**
+ * Rotate pixels to match the EXIF orientation and apply the metadata policy, rewriting the file in place.
+ * Resolves to true when the file was rewritten, false when it was already upright and clean.
+ */
+async function normalizeImage(inputPath, options = {}) {
+  const metadata = await sharp(inputPath).metadata();
+  const needsRotation = (metadata.orientation || 1) !== 1;
+  const hasMetadata = !!(metadata.exif || metadata.xmp || metadata.iptc);
+
+  // Recompressing is lossy, so upright photos without anything to strip are left alone
+  if (!REWRITABLE_FORMATS.includes(metadata.format) || (!needsRotation && !(options.stripMetadata && hasMetadata))) {
+    return false;
+  }
+
+  const tempPath = `${inputPath}.normalized`;
+  await applyMetadataPolicy(sharp(inputPath).rotate(), options)
+    .toFormat(metadata.format, metadata.format === 'png' ? {} : { quality: 95 })
+    .toFile(tempPath);
+  await fs.promises.rename(tempPath, inputPath);
+
+  return true;
+}
+
+/**
+ * Convert an image to JPEG next to the source file, applying the metadata policy.
+ * Resolves to { path, size }, or null when this sharp build can't decode the input
+ * (the prebuilt binaries read AVIF but need a system libvips with libde265 for HEVC-coded HEIC).
+ */
+async function convertToJpeg(inputPath, options = {}) {
+  const outputPath = `${inputPath}.jpg`;
+
+  try {
+    const info = await applyMetadataPolicy(sharp(inputPath).rotate(), options)
+      .jpeg({ quality: 90, mozjpeg: true })
+      .toFile(outputPath);
+
+    return { path: outputPath, size: info.size };
+  } catch (error) {
+    console.warn(`Could not convert ${path.basename(inputPath)} to JPEG, keeping the original only:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * 64-bit difference hash (dHash) as hex: each bit says whether a pixel is brighter than its right-hand
+ * neighbour in a 9x8 greyscale thumbnail, so resized or recompressed copies hash within a few bits.
+ * Resolves to null when the image can't be decoded.
+ */
+async function perceptualHash(inputPath) {
+  try {
+    const pixels = await sharp(inputPath)
+      .rotate()
+      .greyscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = 0n;
+    for (let row = 0; row < 8; row++) {
+      for (let column = 0; column < 8; column++) {
+        const offset = row * 9 + column;
+        hash = (hash << 1n) | (pixels[offset] > pixels[offset + 1] ? 1n : 0n);
+      }
+    }
+    return hash.toString(16).padStart(16, '0');
+  } catch (error) {
+    console.warn(`Could not hash ${path.basename(inputPath)}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * The name a converted file is delivered under: IMG_0001.HEIC -> IMG_0001.jpg
+ */
+function convertedFileName(originalName) {
+  return `${path.basename(originalName, path.extname(originalName))}.jpg`;
+}
+
+/**
+ * Render WebP thumbnails/previews next to the source file.
+ * Resolves to { [variant]: { path, width, height, size } }, or null if the image can't be decoded.
+ */
+async function generatePreviews(inputPath) {
+  const previews = {};
+
+  try {
+    for (const [variant, edge] of Object.entries(PREVIEW_SIZES)) {
+      const outputPath = `${inputPath}.${variant}.webp`;
+      const info = await sharp(inputPath)
+        .rotate()
+        .resize(edge, edge, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toFile(outputPath);
+
+      previews[variant] = { path: outputPath, width: info.width, height: info.height, size: info.size };
+    }
+
+    return previews;
+  } catch (error) {
+    console.warn(`Could not generate previews for ${path.basename(inputPath)}:`, error.message);
+
+    for (const preview of Object.values(previews)) {
+      fs.unlink(preview.path, () => {});
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  isHeifImage,
+  verifyImage,
+  readImageMetadata,
+  normalizeImage,
+  convertToJpeg,
+  convertedFileName,
+  generatePreviews,
+  perceptualHash
+};
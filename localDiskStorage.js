@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+require('dotenv').config();
+
+class LocalDiskStorage {
+  constructor() {
+    this.rootPath = path.resolve(process.env.LOCAL_STORAGE_PATH || path.join(__dirname, 'uploads', 'bucket'));
+    this.signingSecret = process.env.STORAGE_SIGNING_SECRET || process.env.SESSION_SECRET || 'your-secret-key-change-this-in-production';
+    this.initialized = false;
+  }
+
+  /**
+   * Create the storage directory if it doesn't exist
+   */
+  async initialize() {
+    try {
+      await fs.promises.mkdir(this.rootPath, { recursive: true });
+      this.initialized = true;
+
+      console.log(`Local disk storage initialized at: ${this.rootPath}`);
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize local disk storage:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Whether the storage directory is ready for use
+   */
+  isReady() {
+    return this.initialized;
+  }
+
+  /**
+   * Resolve a key to a path inside the storage directory, rejecting traversal
+   */
+  resolveKey(key) {
+    const filePath = path.resolve(this.rootPath, key);
+    if (!filePath.startsWith(this.rootPath + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Copy a local file into storage
+   */
+  async put(key, localFilePath, options = {}) {
+    try {
+      const filePath = this.resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.copyFile(localFilePath, filePath);
+
+      console.log(`File stored on local disk: ${key}`);
+      return { name: key };
+    } catch (error) {
+      console.error('Error storing file on local disk:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Copy a file out of storage to a local path
+   */
+  async get(key, localPath) {
+    try {
+      await pipeline(await this.getStream(key), fs.createWriteStream(localPath));
+      return localPath;
+    } catch (error) {
+      console.error('Error reading file from local disk:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Open a read stream for a stored file
+   */
+  async getStream(key) {
+    const filePath = this.resolveKey(key);
+    // Surface a missing file as a rejection rather than a later stream error
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath);
+  }
+
+  /**
+   * Delete a stored file
+   */
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolveKey(key));
+
+      console.log(`File deleted from local disk: ${key}`);
+    } catch (error) {
+      console.error('Error deleting file from local disk:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List stored files, optionally under a key prefix
+   */
+  async list(prefix = '') {
+    const files = [];
+
+    const walk = async (dir) => {
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+          continue;
+        }
+
+        const name = path.relative(this.rootPath, entryPath).split(path.sep).join('/');
+        if (name.startsWith(prefix)) {
+          const stats = await fs.promises.stat(entryPath);
+          files.push({
+            name,
+            created: stats.birthtime.toISOString(),
+            size: stats.size
+          });
+        }
+      }
+    };
+
+    await walk(this.rootPath);
+    return files;
+  }
+
+  /**
+   * Create a time-limited URL served by the API's /api/storage route
+   */
+  async getSignedUrl(key, expiresInSeconds = 15 * 60) {
+    const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+    const signature = this.sign(key, expires);
+    const baseUrl = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+    return `${baseUrl}/api/storage/${encodeURIComponent(key)}?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Check a signature produced by getSignedUrl
+   */
+  verifySignedUrl(key, expires, signature) {
+    if (!expires || !signature || parseInt(expires) < Date.now() / 1000) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expires));
+    const provided = Buffer.from(String(signature));
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  }
+
+  sign(key, expires) {
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${key}:${expires}`)
+      .digest('hex');
+  }
+}
+
+module.exports = LocalDiskStorage;
@@ -0,0 +1,34 @@
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+/**
+ * Outgoing email over SMTP. Any SMTP server works, including a local sink such as Mailpit
+ * (SMTP_HOST=localhost, SMTP_PORT=1025) for trying emails out in development.
+ */
+class Mailer {
+  constructor() {
+    this.from = process.env.MAIL_FROM || 'GuestStory <no-reply@localhost>';
+    this.transporter = process.env.SMTP_HOST ?
+      nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+      }) :
+      null;
+  }
+
+  isConfigured() {
+    return !!this.transporter;
+  }
+
+  async send({ to, subject, text, html }) {
+    if (!this.transporter) {
+      throw new Error('Email is not configured (SMTP_HOST is not set)');
+    }
+
+    return this.transporter.sendMail({ from: this.from, to, subject, text, html });
+  }
+}
+
+module.exports = Mailer;
@@ -0,0 +1,37 @@
+const ClamAVScanner = require('./clamav');
+require('dotenv').config();
+
+/**
+ * Malware scanners the worker runs guest files through before delivery.
+ *
+ * Every scanner exposes:
+ *   scanFile(filePath) -> Promise<{ status: 'clean' | 'infected' | 'skipped', signature }>
+ *
+ * MALWARE_SCANNER picks the scanner (clamd). When unset, files are delivered unscanned.
+ * A 'skipped' file blocks its upload's delivery, like an infected one, unless deliverUnscannedFiles() allows it.
+ */
+const scanners = {
+  clamd: ClamAVScanner
+};
+
+function createScanner(type = process.env.MALWARE_SCANNER) {
+  if (!type) {
+    return null;
+  }
+
+  const Scanner = scanners[type];
+  if (!Scanner) {
+    throw new Error(`Unknown MALWARE_SCANNER "${type}". Supported scanners: ${Object.keys(scanners).join(', ')}`);
+  }
+
+  const scanner = new Scanner();
+  scanner.type = type;
+  return scanner;
+}
+
+// Files a scanner skips (too large to scan) are held back unless MALWARE_SCAN_FAIL_OPEN=true
+function deliverUnscannedFiles() {
+  return process.env.MALWARE_SCAN_FAIL_OPEN === 'true';
+}
+
+module.exports = { createScanner, deliverUnscannedFiles };
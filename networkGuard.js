@@ -0,0 +1,68 @@
+const dns = require('dns');
+const net = require('net');
+require('dotenv').config();
+
+// Lets webhooks and WebDAV destinations reach localhost and private networks (self-hosted setups, development)
+function privateNetworksAllowed() {
+  return process.env.ALLOW_PRIVATE_NETWORKS === 'true';
+}
+
+// Loopback, private, link-local (cloud metadata) and unique-local ranges
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+  }
+
+  const normalized = address.toLowerCase();
+  if (normalized.startsWith('::ffff:')) {
+    return isPrivateAddress(normalized.slice(7));
+  }
+  return normalized === '::' || normalized === '::1' || /^f[cd]/.test(normalized) || /^fe[89ab]/.test(normalized);
+}
+
+function privateAddressError(label) {
+  const error = new Error(`${label} resolves to a private network address`);
+  error.code = 'EPRIVATEADDRESS';
+  return error;
+}
+
+/**
+ * Check that a user-supplied URL is http(s) and doesn't point at this host or its private network.
+ * Throws with code ERR_INVALID_URL, ENOTFOUND or EPRIVATEADDRESS.
+ */
+async function assertPublicUrl(url, { label = 'URL', allowPrivateNetworks = privateNetworksAllowed() } = {}) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'https:' && protocol !== 'http:') {
+    throw new Error(`${label} must use http or https`);
+  }
+  if (allowPrivateNetworks) {
+    return;
+  }
+
+  const addresses = await dns.promises.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw privateAddressError(label);
+  }
+}
+
+/**
+ * dns.lookup for http.request's lookup option: refuses private addresses at connect time, so a
+ * hostname can't switch to an internal address between assertPublicUrl and the request.
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!privateNetworksAllowed() && addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(privateAddressError(hostname));
+    }
+    callback(null, address, family);
+  });
+}
+
+module.exports = { isPrivateAddress, assertPublicUrl, guardedLookup, privateNetworksAllowed };
@@ -0,0 +1,221 @@
+require('dotenv').config();
+
+const UPLOAD_EMAIL_FREQUENCIES = ['off', 'instant', 'daily'];
+
+// Hour of the day (UTC) the daily digest goes out
+const DIGEST_HOUR = isNaN(parseInt(process.env.DIGEST_HOUR)) ? 8 : parseInt(process.env.DIGEST_HOUR);
+const EXPIRY_WARNING_DAYS = parseInt(process.env.EXPIRY_WARNING_DAYS) || 3;
+
+const DAY = 24 * 60 * 60 * 1000;
+const GUESTS_LISTED_PER_EVENT = 5;
+const MESSAGES_LISTED_PER_EVENT = 3;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function formatDate(value) {
+  return `${new Date(value).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'UTC' })} UTC`;
+}
+
+// The most recent digest time at or before now
+function digestBoundary(now) {
+  const boundary = new Date(now);
+  boundary.setUTCHours(DIGEST_HOUR, 0, 0, 0);
+  if (boundary > now) {
+    boundary.setUTCDate(boundary.getUTCDate() - 1);
+  }
+  return boundary;
+}
+
+// Group uploads by event: counts, who uploaded and a few of their messages
+function summarizeUploads(uploads) {
+  const events = new Map();
+
+  for (const upload of uploads) {
+    if (!events.has(upload.token_id)) {
+      events.set(upload.token_id, { eventName: upload.event_name, photos: 0, videos: 0, pendingReview: 0, guests: new Set(), messages: [] });
+    }
+
+    const event = events.get(upload.token_id);
+    const guestName = upload.uploader_name || 'Anonymous';
+    if ((upload.mimetype || '').startsWith('video/')) {
+      event.videos++;
+    } else {
+      event.photos++;
+    }
+    if (upload.review_status === 'pending_review') {
+      event.pendingReview++;
+    }
+    event.guests.add(guestName);
+
+    // A guest's batch shares one message
+    if (upload.guest_message && !event.messages.some(message => message.text === upload.guest_message)) {
+      event.messages.push({ guestName, text: upload.guest_message });
+    }
+  }
+
+  return [...events.values()];
+}
+
+function describeEvent(event) {
+  const counts = [event.photos && plural(event.photos, 'photo'), event.videos && plural(event.videos, 'video')].filter(Boolean);
+  const guests = [...event.guests];
+  const named = guests.slice(0, GUESTS_LISTED_PER_EVENT).join(', ');
+  const others = guests.length > GUESTS_LISTED_PER_EVENT ? ` and ${guests.length - GUESTS_LISTED_PER_EVENT} more` : '';
+
+  return `${counts.join(', ')} from ${plural(guests.length, 'guest')} (${named}${others})`;
+}
+
+/**
+ * Emails owners about new uploads (as they arrive or as a daily digest) and warns them before
+ * tokens and subscriptions expire. Run periodically by the worker.
+ */
+class NotificationService {
+  constructor(database, mailer) {
+    this.db = database;
+    this.mailer = mailer;
+    this.dashboardUrl = `${process.env.FRONTEND_URL || 'http://localhost:3001'}/dashboard`;
+  }
+
+  /**
+   * Send upload emails that are due: every run for "instant" users, once a day after DIGEST_HOUR for "daily" users.
+   * Resolves to the number of emails sent.
+   */
+  async sendUploadNotifications(now = new Date()) {
+    // uploaded_at has one-second resolution, so leave the current second for the next run
+    const until = new Date(now.getTime() - 1000);
+    const boundary = digestBoundary(now);
+    let sent = 0;
+
+    for (const recipient of await this.db.getUploadNotificationRecipients('instant')) {
+      sent += await this.notifyUploads(recipient, 'instant', until);
+    }
+
+    for (const recipient of await this.db.getUploadNotificationRecipients('daily')) {
+      if (recipient.notified_until && new Date(recipient.notified_until) >= boundary) {
+        continue;
+      }
+      sent += await this.notifyUploads(recipient, 'daily', until);
+    }
+
+    return sent;
+  }
+
+  async notifyUploads(recipient, frequency, until) {
+    try {
+      // Owners who have never been notified only hear about the last day
+      const since = recipient.notified_until ? new Date(recipient.notified_until) : new Date(until.getTime() - DAY);
+      const uploads = await this.db.getUploadsForNotification(recipient.user_id, since, until);
+      const notify = uploads.length > 0 && !!recipient.email;
+
+      if (notify) {
+        await this.mailer.send({ to: recipient.email, ...this.uploadEmail(recipient, uploads, frequency) });
+      }
+      await this.db.markUploadNotificationsSent(recipient.user_id, until);
+
+      return notify ? 1 : 0;
+    } catch (error) {
+      console.error(`Failed to send upload email to user ${recipient.user_id}:`, error.message);
+      return 0;
+    }
+  }
+
+  uploadEmail(recipient, uploads, frequency) {
+    const events = summarizeUploads(uploads);
+    const subject = frequency === 'daily' ?
+      `Daily summary: ${plural(uploads.length, 'new upload')}` :
+      `${plural(uploads.length, 'new upload')} ${events.length === 1 ? `for ${events[0].eventName}` : `across ${events.length} events`}`;
+    const intro = frequency === 'daily' ? 'Here is what your guests uploaded since the last summary:' : 'Your guests just uploaded:';
+
+    const text = [`Hi${recipient.name ? ` ${recipient.name}` : ''},`, '', intro, ''];
+    const html = [`<p>Hi${recipient.name ? ` ${escapeHtml(recipient.name)}` : ''},</p>`, `<p>${intro}</p>`];
+
+    for (const event of events) {
+      text.push(event.eventName, `  ${describeEvent(event)}`);
+      html.push(`<h3>${escapeHtml(event.eventName)}</h3>`, `<p>${escapeHtml(describeEvent(event))}</p>`);
+
+      if (event.pendingReview > 0) {
+        text.push(`  ${event.pendingReview} waiting for your approval`);
+        html.push(`<p><strong>${event.pendingReview} waiting for your approval</strong></p>`);
+      }
+      for (const message of event.messages.slice(0, MESSAGES_LISTED_PER_EVENT)) {
+        text.push(`  "${message.text}" (${message.guestName})`);
+        html.push(`<blockquote>${escapeHtml(message.text)}<br><em>${escapeHtml(message.guestName)}</em></blockquote>`);
+      }
+      text.push('');
+    }
+
+    text.push(`View them in your dashboard: ${this.dashboardUrl}`, '', 'You can change how often you get these emails in your notification settings.');
+    html.push(
+      `<p><a href="${escapeHtml(this.dashboardUrl)}">View them in your dashboard</a></p>`,
+      '<p style="color:#888">You can change how often you get these emails in your notification settings.</p>'
+    );
+
+    return { subject, text: text.join('\n'), html: html.join('\n') };
+  }
+
+  /**
+   * Warn owners EXPIRY_WARNING_DAYS ahead that a token stops accepting uploads or their subscription ends.
+   * Resolves to the number of emails sent.
+   */
+  async sendExpiryWarnings(now = new Date()) {
+    const until = new Date(now.getTime() + EXPIRY_WARNING_DAYS * DAY);
+    let sent = 0;
+
+    for (const token of await this.db.getTokensExpiringSoon(until)) {
+      sent += await this.sendWarning(token, {
+        subject: `Uploads for ${token.event_name} close soon`,
+        text: `${token.event_name} stops accepting guest uploads on ${formatDate(token.expires_at)}. ` +
+          `You can extend it or create a new upload link in your dashboard: ${this.dashboardUrl}`
+      }, () => this.db.markTokenExpiryWarningSent(token.id));
+    }
+
+    for (const subscription of await this.db.getSubscriptionsExpiringSoon(until)) {
+      sent += await this.sendWarning(subscription, {
+        subject: `Your ${subscription.plan_name || 'GuestStory'} plan ends soon`,
+        text: `Your ${subscription.plan_name || 'GuestStory'} plan ends on ${formatDate(subscription.current_period_end)}. ` +
+          `After that your events stop accepting uploads. Renew it in your dashboard: ${this.dashboardUrl}`
+      }, () => this.db.markSubscriptionExpiryWarningSent(subscription.id));
+    }
+
+    return sent;
+  }
+
+  // Owners who turned warnings off are marked as warned too, so they aren't checked again
+  async sendWarning(recipient, email, markSent) {
+    try {
+      const preferences = await this.db.getNotificationPreferences(recipient.user_id);
+      const notify = preferences.expiry_warnings && !!recipient.email;
+
+      if (notify) {
+        await this.mailer.send({ to: recipient.email, subject: email.subject, text: email.text, html: `<p>${escapeHtml(email.text)}</p>` });
+      }
+      await markSent();
+
+      return notify ? 1 : 0;
+    } catch (error) {
+      console.error(`Failed to send expiry warning to user ${recipient.user_id}:`, error.message);
+      return 0;
+    }
+  }
+
+  async sendTestEmail(user) {
+    return this.mailer.send({
+      to: user.email,
+      subject: 'GuestStory test email',
+      text: 'Email notifications are working. Upload summaries and expiry warnings will be sent to this address.',
+      html: '<p>Email notifications are working. Upload summaries and expiry warnings will be sent to this address.</p>'
+    });
+  }
+}
+
+module.exports = { NotificationService, UPLOAD_EMAIL_FREQUENCIES };
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const {
+  S3Client,
+  HeadBucketCommand,
+  CreateBucketCommand,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+require('dotenv').config();
+
+class S3Storage {
+  constructor() {
+    this.client = null;
+    this.bucketName = process.env.S3_BUCKET || 'guest-uploads-temp';
+  }
+
+  /**
+   * Initialize the S3 client (AWS or any S3-compatible endpoint such as MinIO)
+   */
+  async initialize() {
+    try {
+      if (!process.env.S3_ACCESS_KEY_ID || !process.env.S3_SECRET_ACCESS_KEY) {
+        console.warn('S3 storage credentials not configured.');
+        return false;
+      }
+
+      this.client = new S3Client({
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        // MinIO and most self-hosted endpoints only support path-style bucket addressing
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+          ? process.env.S3_FORCE_PATH_STYLE === 'true'
+          : !!process.env.S3_ENDPOINT,
+        credentials: {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        }
+      });
+
+      // Check if bucket exists, create if it doesn't
+      try {
+        await this.client.send(new HeadBucketCommand({ Bucket: this.bucketName }));
+      } catch (error) {
+        if (error.$metadata && error.$metadata.httpStatusCode === 404) {
+          await this.client.send(new CreateBucketCommand({ Bucket: this.bucketName }));
+          console.log(`Bucket ${this.bucketName} created successfully`);
+        } else {
+          throw error;
+        }
+      }
+
+      console.log(`S3 storage initialized with bucket: ${this.bucketName}`);
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize S3 storage:', error.message);
+      this.client = null;
+      return false;
+    }
+  }
+
+  /**
+   * Whether the client is ready for use
+   */
+  isReady() {
+    return !!this.client;
+  }
+
+  /**
+   * Upload a local file to the bucket
+   */
+  async put(key, localFilePath, options = {}) {
+    if (!this.client) {
+      throw new Error('S3 storage not initialized');
+    }
+
+    try {
+      const stats = await fs.promises.stat(localFilePath);
+
+      await this.client.send(new PutObjectCommand({
+        Bucket: this.bucketName,
+        Key: key,
+        Body: fs.createReadStream(localFilePath),
+        ContentLength: stats.size,
+        ContentType: options.contentType || 'application/octet-stream'
+      }));
+
+      console.log(`File uploaded to S3: ${key}`);
+      return {
+        name: key,
+        bucket: this.bucketName
+      };
+    } catch (error) {
+      console.error('Error uploading file to S3:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Download a file from the bucket
+   */
+  async get(key, localPath) {
+    try {
+      await pipeline(await this.getStream(key), fs.createWriteStream(localPath));
+
+      console.log(`File downloaded from S3: ${key}`);
+      return localPath;
+    } catch (error) {
+      console.error('Error downloading file from S3:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Open a read stream for a file in the bucket
+   */
+  async getStream(key) {
+    if (!this.client) {
+      throw new Error('S3 storage not initialized');
+    }
+
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: key
+    }));
+    return response.Body;
+  }
+
+  /**
+   * Delete a file from the bucket
+   */
+  async delete(key) {
+    if (!this.client) {
+      throw new Error('S3 storage not initialized');
+    }
+
+    try {
+      await this.client.send(new DeleteObjectCommand({
+        Bucket: this.bucketName,
+        Key: key
+      }));
+
+      console.log(`File deleted from S3: ${key}`);
+    } catch (error) {
+      console.error('Error deleting file from S3:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List files in the bucket, optionally under a key prefix
+   */
+  async list(prefix = '') {
+    if (!this.client) {
+      throw new Error('S3 storage not initialized');
+    }
+
+    try {
+      const files = [];
+      let continuationToken;
+
+      do {
+        const response = await this.client.send(new ListObjectsV2Command({
+          Bucket: this.bucketName,
+          Prefix: prefix || undefined,
+          ContinuationToken: continuationToken
+        }));
+
+        for (const object of response.Contents || []) {
+          files.push({
+            name: object.Key,
+            created: object.LastModified && object.LastModified.toISOString(),
+            size: object.Size
+          });
+        }
+
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return files;
+    } catch (error) {
+      console.error('Error listing files in S3:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a time-limited read URL for a file in the bucket
+   */
+  async getSignedUrl(key, expiresInSeconds = 15 * 60) {
+    if (!this.client) {
+      throw new Error('S3 storage not initialized');
+    }
+
+    return getSignedUrl(this.client, new GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: key
+    }), { expiresIn: expiresInSeconds });
+  }
+}
+
+module.exports = S3Storage;
@@ -15,8 +15,30 @@ const { v4: uuidv4 } = require('uuid');
 const QRCode = require('qrcode');
 const passport = require('passport');
 const Database = require('./database');
-const GCPBucketUploader = require('./gcpBucket');
+const { createStorage } = require('./storage');
 const GoogleDriveUploader = require('./googleDrive');
+const { createDestination, destinationTypes, DEFAULT_DESTINATION } = require('./destinations');
+const UploadSessionManager = require('./uploadSessions');
+const { UploadEventBus } = require('./uploadEvents');
+const { WebhookService, WEBHOOK_EVENTS, generateSecret } = require('./webhooks');
+const { assertPublicUrl } = require('./networkGuard');
+const { deliverUnscannedFiles } = require('./malwareScanner');
+const { NotificationService, UPLOAD_EMAIL_FREQUENCIES } = require('./notifications');
+const Mailer = require('./mailer');
+const { createAccountToken, readAccountToken, accountFingerprint } = require('./accountTokens');
+const { probeVideo } = require('./videoMetadata');
+const { validateUpload } = require('./fileValidation');
+const { hashFile, findNearDuplicate } = require('./duplicateDetection');
+const guestbook = require('./guestbook');
+const {
+  isHeifImage,
+  readImageMetadata,
+  normalizeImage,
+  convertToJpeg,
+  convertedFileName,
+  generatePreviews,
+  perceptualHash
+} = require('./imageProcessing');
 const StripeService = require('./stripe');
 const RegionalPricing = require('./regionalPricing');
 const OAuthConfig = require('./oauth');
@@ -24,7 +46,7 @@ require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const gcpUploader = new GCPBucketUploader();
+const storageBackend = createStorage();
 
 // Initialize database based on environment
 let db;
@@ -41,6 +63,11 @@ const driveUploader = new GoogleDriveUploader(db);
 const stripeService = new StripeService();
 const regionalPricing = new RegionalPricing();
 const oauthConfig = new OAuthConfig(db);
+const uploadSessions = new UploadSessionManager(db);
+const uploadEvents = new UploadEventBus();
+const webhooks = new WebhookService(db);
+const mailer = new Mailer();
+const notifications = new NotificationService(db, mailer);
 
 // CORS configuration for frontend-backend separation
 app.use(cors({
@@ -186,7 +213,8 @@ async function autoLogin(req, res, next) {
           subscription_status: user.subscription_status || 'trial',
           subscription_end_date: user.subscription_end_date,
           oauth_provider: user.provider || 'local',
-          profile_picture: user.avatar_url
+          profile_picture: user.avatar_url,
+          email_verified: isEmailVerified(user)
         };
         
         // Cache the user data
@@ -256,7 +284,8 @@ app.post('/api/login', authLimiter, async (req, res) => {
       subscription_status: user.subscription_status || 'trial',
       subscription_end_date: user.subscription_end_date,
       oauth_provider: user.provider || 'local',
-      profile_picture: user.avatar_url
+      profile_picture: user.avatar_url,
+      email_verified: isEmailVerified(user)
     };
     
     // Cache user data
@@ -294,6 +323,11 @@ app.post('/api/register', authLimiter, async (req, res) => {
     const userId = await db.createUser(email, password);
     const user = await db.getUserById(userId);
     
+    // Registration doesn't wait for (or fail on) the email; it can be resent later
+    sendVerificationEmail(user).catch(error => {
+      console.error('Verification email error:', error.message);
+    });
+    
     // Set session
     req.session.userId = userId;
     req.session.lastAccess = new Date();
@@ -306,7 +340,8 @@ app.post('/api/register', authLimiter, async (req, res) => {
       subscription_status: user.subscription_status || 'trial',
       subscription_end_date: user.subscription_end_date,
       oauth_provider: user.provider || 'local',
-      profile_picture: user.avatar_url
+      profile_picture: user.avatar_url,
+      email_verified: isEmailVerified(user)
     };
     
     // Cache user data
@@ -348,6 +383,140 @@ app.post('/api/logout', (req, res) => {
   });
 });
 
+// Password reset and email verification: emailed links carry signed, expiring tokens, nothing is stored
+const PASSWORD_MIN_LENGTH = 8;
+
+// SQLite rows are snake_case, Firestore user documents camelCase; OAuth providers verify addresses themselves
+function isEmailVerified(user) {
+  return !!(user.email_verified || user.emailVerified) || (!!user.provider && user.provider !== 'local');
+}
+
+function accountLink(path, token) {
+  return `${process.env.FRONTEND_URL || 'http://localhost:3001'}${path}?token=${encodeURIComponent(token)}`;
+}
+
+async function sendVerificationEmail(user) {
+  if (!mailer.isConfigured()) {
+    console.warn(`SMTP_HOST not set, no verification email sent to user ${user.id}`);
+    return;
+  }
+  
+  const link = accountLink('/verify-email', createAccountToken('email_verification', user));
+  await mailer.send({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Confirm your GuestStory email address by opening this link (valid for 48 hours):\n\n${link}`,
+    html: `<p>Confirm your GuestStory email address:</p><p><a href="${link}">Confirm email address</a></p><p style="color:#888">The link is valid for 48 hours.</p>`
+  });
+}
+
+// The account a token was issued for, or null when it is invalid, expired or already used
+async function findAccountForToken(token, purpose) {
+  const data = readAccountToken(token, purpose);
+  if (!data) {
+    return null;
+  }
+  
+  const user = await db.getUserById(data.userId);
+  return user && accountFingerprint(purpose, user) === data.fingerprint ? user : null;
+}
+
+app.post('/api/password/forgot', authLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+    if (!mailer.isConfigured()) {
+      return res.status(503).json({ error: 'Password reset is not available on this server' });
+    }
+    
+    // Same answer (and timing: the email isn't awaited) whether or not the account exists,
+    // so the form can't be used to probe for registered addresses
+    const user = await db.getUserByEmail(email);
+    if (user && user.password) {
+      const link = accountLink('/reset-password', createAccountToken('password_reset', user));
+      mailer.send({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Someone asked to reset the password for your GuestStory account. To choose a new password, open this link (valid for 1 hour):\n\n${link}\n\nIf it wasn't you, you can ignore this email.`,
+        html: `<p>Someone asked to reset the password for your GuestStory account.</p><p><a href="${link}">Choose a new password</a></p><p style="color:#888">The link is valid for 1 hour. If it wasn't you, you can ignore this email.</p>`
+      }).catch(error => {
+        console.error('Password reset email error:', error.message);
+      });
+    }
+    
+    res.json({ success: true, message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/password/reset', authLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+    if (password.length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+    }
+    
+    const user = await findAccountForToken(token, 'password_reset');
+    if (!user) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    }
+    
+    // Changing the password also invalidates the link; receiving it proves the address
+    await db.updateUserPassword(user.id, password);
+    await db.markEmailVerified(user.id);
+    clearUserCache(user.id);
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/email/verify', authLimiter, async (req, res) => {
+  try {
+    const user = await findAccountForToken(req.body.token, 'email_verification');
+    if (!user) {
+      return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+    }
+    
+    await db.markEmailVerified(user.id);
+    clearUserCache(user.id);
+    
+    res.json({ success: true, email: user.email });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/email/verify/resend', authLimiter, requireAuth, async (req, res) => {
+  try {
+    const user = await db.getUserById(req.session.userId);
+    if (isEmailVerified(user)) {
+      return res.status(400).json({ error: 'Email address is already verified' });
+    }
+    if (!mailer.isConfigured()) {
+      return res.status(503).json({ error: 'Email is not configured on this server' });
+    }
+    
+    await sendVerificationEmail(user);
+    res.json({ success: true, sentTo: user.email });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 app.get('/api/user', requireAuth, async (req, res) => {
   try {
     // Return cached user data from auto-login middleware
@@ -368,7 +537,8 @@ app.get('/api/user', requireAuth, async (req, res) => {
       subscription_status: user.subscription_status || 'trial',
       subscription_end_date: user.subscription_end_date,
       oauth_provider: user.provider || 'local',
-      profile_picture: user.avatar_url
+      profile_picture: user.avatar_url,
+      email_verified: isEmailVerified(user)
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -447,7 +617,8 @@ app.get('/api/oauth/status', (req, res) => {
 });
 
 // OAuth authentication routes
-app.get('/auth/google', passport.authenticate('google'));
+// Offline access + consent so Google always issues a refresh token for Drive delivery
+app.get('/auth/google', passport.authenticate('google', { accessType: 'offline', prompt: 'consent' }));
 
 app.get('/auth/google/callback', 
   passport.authenticate('google', { failureRedirect: process.env.FRONTEND_URL + '/login?error=oauth_failed' }),
@@ -490,6 +661,19 @@ async function generateDynamicQR(tokenInfo, options = {}) {
   };
 }
 
+// Per-token options owners can set at creation or later through /settings
+const TOKEN_SETTINGS = ['organizeByGuest', 'convertHeic', 'stripMetadata', 'moderateUploads', 'publicGallery'];
+
+function pickTokenSettings(body) {
+  const settings = {};
+  for (const key of TOKEN_SETTINGS) {
+    if (body[key] !== undefined) {
+      settings[key] = !!body[key];
+    }
+  }
+  return settings;
+}
+
 function validateToken(token) {
   if (!token || typeof token !== 'string') {
     return false;
@@ -521,7 +705,17 @@ app.get('/api/tokens', requireAuth, async (req, res) => {
 
 app.post('/api/tokens', requireAuth, async (req, res) => {
   try {
-    const { name, maxUploads, expiresIn, qrOptions } = req.body;
+    const {
+      name,
+      maxUploads,
+      expiresIn,
+      qrOptions,
+      organizeByGuest,
+      convertHeic,
+      stripMetadata,
+      moderateUploads,
+      publicGallery
+    } = req.body;
     
     if (!name || !maxUploads) {
       return res.status(400).json({ error: 'Name and maxUploads are required' });
@@ -556,6 +750,7 @@ app.post('/api/tokens', requireAuth, async (req, res) => {
     await db.createToken(req.session.userId, secureToken, expirationDate, name);
     
     const tokenInfo = await db.getTokenByValue(secureToken);
+    await db.updateTokenSettings(tokenInfo.id, { ...pickTokenSettings(req.body), maxUploads: parseInt(maxUploads) });
     const qrCodeData = await generateDynamicQR(tokenInfo, qrOptions);
 
     res.json({
@@ -567,6 +762,11 @@ app.post('/api/tokens', requireAuth, async (req, res) => {
       name,
       maxUploads,
       expirationDate,
+      organizeByGuest: !!organizeByGuest,
+      convertHeic: !!convertHeic,
+      stripMetadata: !!stripMetadata,
+      moderateUploads: !!moderateUploads,
+      publicGallery: !!publicGallery,
       qrOptions: qrCodeData.options
     });
   } catch (error) {
@@ -798,6 +998,34 @@ app.post('/api/tokens/:tokenId/refresh', requireAuth, async (req, res) => {
   }
 });
 
+app.put('/api/tokens/:tokenId/settings', requireAuth, async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const tokenData = await db.getTokenById(tokenId);
+    
+    if (!tokenData) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    
+    if (tokenData.user_id !== req.session.userId) {
+      return res.status(403).json({ error: 'Unauthorized access to token' });
+    }
+    
+    const settings = pickTokenSettings(req.body);
+    
+    await db.updateTokenSettings(tokenId, settings);
+    
+    res.json({
+      success: true,
+      tokenId,
+      settings
+    });
+  } catch (error) {
+    console.error('Update token settings error:', error);
+    res.status(500).json({ error: 'Failed to update token settings' });
+  }
+});
+
 app.get('/api/tokens/:tokenId/analytics', requireAuth, async (req, res) => {
   try {
     const { tokenId } = req.params;
@@ -831,8 +1059,9 @@ app.get('/api/tokens/:tokenId/analytics', requireAuth, async (req, res) => {
           id: upload.id,
           filename: upload.filename,
           uploadedAt: upload.uploaded_at,
-          fileSize: upload.file_size,
-          uploaderName: upload.uploader_name
+          fileSize: upload.size,
+          uploaderName: upload.uploader_name,
+          guestMessage: upload.guest_message || null
         }))
       }
     });
@@ -895,6 +1124,7 @@ app.post('/api/tokens/bulk-create', requireAuth, async (req, res) => {
         
         await db.createToken(req.session.userId, secureToken, expirationDate, name);
         const tokenInfo = await db.getTokenByValue(secureToken);
+        await db.updateTokenSettings(tokenInfo.id, { ...pickTokenSettings(tokenConfig), maxUploads: parseInt(maxUploads) });
         
         const qrCodeData = await generateDynamicQR(tokenInfo, {
           ...defaultQrOptions,
@@ -991,6 +1221,7 @@ app.get('/api/tokens/:token', async (req, res) => {
     }
 
     const uploads = await db.getUploadsByToken(token);
+    const policy = await getUploadPolicy(tokenData.user_id);
     
     res.json({
       token: tokenData.token,
@@ -999,7 +1230,10 @@ app.get('/api/tokens/:token', async (req, res) => {
       currentUploads: uploads.length,
       expiresAt: tokenData.expires_at,
       isExpired: tokenData.expires_at && new Date() > new Date(tokenData.expires_at),
-      canUpload: uploads.length < tokenData.max_uploads
+      canUpload: uploads.length < tokenData.max_uploads,
+      allowVideo: policy.allowVideo,
+      maxFileSize: policy.maxFileSize,
+      galleryEnabled: !!tokenData.public_gallery
     });
   } catch (error) {
     console.error('Get token info error:', error);
@@ -1025,199 +1259,1525 @@ app.delete('/api/tokens/:tokenId', requireAuth, async (req, res) => {
   }
 });
 
-// Upload endpoints
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+// Public gallery and slideshow, opened with the upload token (guests) or the view-only gallery link
+const GALLERY_PAGE_SIZE = 24;
+const GALLERY_MAX_PAGE_SIZE = 100;
+const SLIDESHOW_POLL_INTERVAL = 10; // seconds
 
-const upload = multer({ 
-  storage: storage,
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|bmp|webp/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-    
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'));
-    }
-  },
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+const galleryLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 120,
+  message: { error: 'Too many gallery requests, please try again shortly' },
+  standardHeaders: true,
+  legacyHeaders: false
 });
 
-app.post('/api/upload/:token', upload.array('photos', 50), async (req, res) => {
-  try {
-    const { token } = req.params;
-    const { guestName, guestMessage } = req.body;
-    
-    // Validate token format first
-    if (!validateToken(token)) {
-      return res.status(400).json({ error: 'Invalid token format' });
-    }
-    
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: 'No files uploaded' });
-    }
-
-    const tokenData = await db.getTokenByValue(token);
-    if (!tokenData) {
-      return res.status(404).json({ error: 'Invalid upload token' });
-    }
-
-    if (tokenData.expires_at && new Date() > new Date(tokenData.expires_at)) {
-      return res.status(410).json({ error: 'Upload token has expired' });
-    }
-
-    const existingUploads = await db.getUploadsByToken(token);
-    const newUploadCount = req.files.length;
-    const totalUploads = existingUploads.length + newUploadCount;
+async function findGalleryToken(req, res) {
+  const { token } = req.params;
+  const tokenData = await db.getTokenByValue(token) || await db.getTokenByGalleryToken(token);
+  
+  if (!tokenData || !tokenData.public_gallery) {
+    res.status(404).json({ error: 'Gallery not found' });
+    return null;
+  }
+  return tokenData;
+}
 
-    if (totalUploads > tokenData.max_uploads) {
-      return res.status(413).json({ 
-        error: `Upload limit exceeded. Maximum ${tokenData.max_uploads} files allowed.` 
-      });
-    }
+// Only what a guest should see: no filenames, messages or storage keys
+async function toGalleryItem(upload) {
+  const { previews } = await withPreviewUrls(upload);
+  
+  return {
+    id: upload.id,
+    guestName: upload.uploader_name || 'Anonymous',
+    uploadedAt: upload.uploaded_at,
+    takenAt: upload.taken_at || null,
+    thumbnail: previews ? previews.thumbnail : null,
+    preview: previews ? previews.preview : null
+  };
+}
 
-    const uploadResults = [];
+app.get('/api/tokens/:token/gallery', galleryLimiter, async (req, res) => {
+  try {
+    const tokenData = await findGalleryToken(req, res);
+    if (!tokenData) return;
+    
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(GALLERY_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || GALLERY_PAGE_SIZE));
+    const { uploads, total } = await db.getGalleryUploads(tokenData.id, limit, (page - 1) * limit);
     
-    for (const file of req.files) {
-      const uploadId = await db.createUpload(
-        tokenData.user_id,
-        token,
-        file.filename,
-        file.originalname,
-        file.path,
-        guestName || 'Anonymous',
-        guestMessage || ''
-      );
-      
-      uploadResults.push({
-        id: uploadId,
-        filename: file.originalname,
-        status: 'pending'
-      });
-    }
-
     res.json({
-      success: true,
-      message: `${req.files.length} file(s) uploaded successfully`,
-      uploads: uploadResults,
-      remainingUploads: tokenData.max_uploads - totalUploads
+      eventName: tokenData.event_name,
+      page,
+      limit,
+      total,
+      hasMore: page * limit < total,
+      items: await Promise.all(uploads.map(toGalleryItem))
     });
-
   } catch (error) {
-    console.error('Upload error:', error);
-    
-    // Clean up uploaded files on error
-    if (req.files) {
-      req.files.forEach(file => {
-        try {
-          fs.unlinkSync(file.path);
-        } catch (unlinkError) {
-          console.error('Failed to delete file:', unlinkError);
-        }
-      });
-    }
-
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(413).json({ error: 'File too large. Maximum size is 10MB.' });
-    }
-    
-    res.status(500).json({ error: 'Upload failed: ' + error.message });
+    console.error('Get gallery error:', error);
+    res.status(500).json({ error: 'Failed to get gallery' });
   }
 });
 
-app.get('/api/uploads', requireAuth, async (req, res) => {
+// Venue screens poll with the returned cursor to get only what became visible since
+app.get('/api/tokens/:token/slideshow', galleryLimiter, async (req, res) => {
   try {
-    const uploads = await db.getUserUploads(req.session.userId);
-    res.json(uploads);
+    const tokenData = await findGalleryToken(req, res);
+    if (!tokenData) return;
+    
+    let after = null;
+    if (req.query.cursor) {
+      try {
+        after = JSON.parse(Buffer.from(req.query.cursor, 'base64url').toString());
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+    
+    const limit = Math.min(GALLERY_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || GALLERY_PAGE_SIZE));
+    const uploads = await db.getSlideshowUploads(tokenData.id, after, limit);
+    const last = uploads[uploads.length - 1];
+    
+    res.json({
+      eventName: tokenData.event_name,
+      items: await Promise.all(uploads.map(toGalleryItem)),
+      cursor: last ?
+        Buffer.from(JSON.stringify({ visibleAt: last.visible_at, id: last.id })).toString('base64url') :
+        req.query.cursor || null,
+      pollInterval: SLIDESHOW_POLL_INTERVAL
+    });
   } catch (error) {
-    console.error('Get uploads error:', error);
-    res.status(500).json({ error: 'Failed to get uploads' });
+    console.error('Get slideshow error:', error);
+    res.status(500).json({ error: 'Failed to get slideshow' });
   }
 });
 
-app.get('/api/uploads/:token', async (req, res) => {
+// Create (or replace) the view-only gallery link; the old link stops working
+app.post('/api/tokens/:tokenId/gallery-link', requireAuth, async (req, res) => {
   try {
-    const { token } = req.params;
-    // Get token data first to get user ID
-    const tokenData = await db.getTokenByValue(token);
-    if (!tokenData) {
+    const token = await db.getTokenById(req.params.tokenId);
+    if (!token || token.user_id !== req.session.userId) {
       return res.status(404).json({ error: 'Token not found' });
     }
-    const uploads = await db.getUserUploads(tokenData.user_id);
-    res.json(uploads.filter(u => u.token === token));
+    
+    const galleryToken = crypto.randomBytes(24).toString('hex');
+    await db.updateTokenGalleryToken(token.id, galleryToken);
+    
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3001';
+    res.json({
+      success: true,
+      galleryToken,
+      url: `${baseUrl}/gallery/${galleryToken}`,
+      publicGallery: !!token.public_gallery
+    });
   } catch (error) {
-    console.error('Get uploads by token error:', error);
-    res.status(500).json({ error: 'Failed to get uploads' });
+    console.error('Create gallery link error:', error);
+    res.status(500).json({ error: 'Failed to create gallery link' });
   }
 });
 
-// Subscription endpoints
-app.get('/api/subscription', requireAuth, async (req, res) => {
+app.delete('/api/tokens/:tokenId/gallery-link', requireAuth, async (req, res) => {
   try {
-    const subscription = await db.getSubscriptionByUserId(req.session.userId);
-    res.json(subscription || { status: 'none' });
+    const token = await db.getTokenById(req.params.tokenId);
+    if (!token || token.user_id !== req.session.userId) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    
+    await db.updateTokenGalleryToken(token.id, null);
+    res.json({ success: true });
   } catch (error) {
-    console.error('Get subscription error:', error);
-    res.status(500).json({ error: 'Failed to get subscription' });
+    console.error('Revoke gallery link error:', error);
+    res.status(500).json({ error: 'Failed to revoke gallery link' });
   }
 });
 
-app.get('/api/pricing/:countryCode', async (req, res) => {
-  try {
-    const { countryCode } = req.params;
-    const pricing = await regionalPricing.getPricingForCountry(countryCode);
-    res.json(pricing);
-  } catch (error) {
-    console.error('Get pricing error:', error);
-    res.status(500).json({ error: 'Failed to get pricing' });
-  }
-});
+// Upload endpoints
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB limit unless the owner's plan allows more
+
+const IMAGE_TYPES = /jpeg|jpg|png|gif|bmp|webp|heic|heif|avif/;
+const VIDEO_TYPES = {
+  '.mp4': ['video/mp4'],
+  '.m4v': ['video/mp4', 'video/x-m4v'],
+  '.mov': ['video/quicktime'],
+  '.avi': ['video/x-msvideo', 'video/avi', 'video/msvideo']
+};
 
-app.post('/api/create-checkout-session', requireAuth, async (req, res) => {
-  try {
-    if (!process.env.STRIPE_SECRET_KEY) {
-      return res.status(400).json({ error: 'Stripe not configured' });
-    }
+function generateUploadFilename(originalName, fieldname = 'photos') {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return fieldname + '-' + uniqueSuffix + path.extname(originalName);
+}
 
-    const { priceId, countryCode } = req.body;
-    const user = await db.getUserById(req.session.userId);
-    
-    const session = await stripeService.createCheckoutSession(
-      user.email,
-      priceId,
-      req.session.userId,
-      countryCode,
-      process.env.FRONTEND_URL || 'http://localhost:3001'
-    );
+// Guests type these freely, so they're trimmed and capped before being stored
+const GUEST_NAME_MAX_LENGTH = 100;
+const GUEST_MESSAGE_MAX_LENGTH = 2000;
 
-    res.json({ url: session.url });
-  } catch (error) {
-    console.error('Create checkout session error:', error);
-    res.status(500).json({ error: 'Failed to create checkout session' });
-  }
-});
+function guestDetails(body) {
+  const text = (value, maxLength) => typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+  
+  return {
+    guestName: text(body.guestName, GUEST_NAME_MAX_LENGTH) || 'Anonymous',
+    guestMessage: text(body.guestMessage, GUEST_MESSAGE_MAX_LENGTH)
+  };
+}
 
-app.post('/api/create-portal-session', requireAuth, async (req, res) => {
-  try {
-    if (!process.env.STRIPE_SECRET_KEY) {
-      return res.status(400).json({ error: 'Stripe not configured' });
-    }
+function isVideoUpload(originalName, mimetype) {
+  const allowedMimetypes = VIDEO_TYPES[path.extname(originalName).toLowerCase()];
+  return !!allowedMimetypes && allowedMimetypes.includes(mimetype);
+}
 
-    const subscription = await db.getSubscriptionByUserId(req.session.userId);
-    if (!subscription || !subscription.stripe_customer_id) {
-      return res.status(400).json({ error: 'No active subscription found' });
-    }
+function isAllowedUploadType(originalName, mimetype, policy) {
+  if (IMAGE_TYPES.test(path.extname(originalName).toLowerCase()) && IMAGE_TYPES.test(mimetype)) {
+    return true;
+  }
+  return policy.allowVideo && isVideoUpload(originalName, mimetype);
+}
 
-    const session = await stripeService.createPortalSession(
+function uploadTypeError(policy) {
+  return policy.allowVideo ? 'Only image and video files are allowed' : 'Only image files are allowed';
+}
+
+function fileTooLargeError(policy) {
+  return `File too large. Maximum size is ${policy.maxFileSize / (1024 * 1024)}MB.`;
+}
+
+// What the token owner's plan lets guests upload (videos are a Media Plan feature)
+async function getUploadPolicy(userId) {
+  const subscription = await db.getUserSubscription(userId);
+  
+  return {
+    allowVideo: !!(subscription && subscription.allow_video),
+    maxFileSize: subscription && subscription.max_file_size_mb ?
+      subscription.max_file_size_mb * 1024 * 1024 :
+      MAX_FILE_SIZE
+  };
+}
+
+// Webhooks are best effort: queueing one must never fail the request that triggered it
+function queueWebhook(userId, type, data) {
+  webhooks.queueEvent(userId, type, data).catch(error => {
+    console.error(`Failed to queue ${type} webhook:`, error.message);
+  });
+}
+
+// Guests get a plain explanation; the plan details behind it are only logged for the owner
+function quotaExceededError(tokenData, quota) {
+  console.warn(`Upload quota reached for user ${tokenData.user_id}: ${quota.reason}`);
+  
+  const closed = quota.reason === 'No active subscription' || quota.reason === 'Subscription expired';
+  const code = closed ? 'EVENT_CLOSED' : 'EVENT_STORAGE_FULL';
+  
+  queueWebhook(tokenData.user_id, 'quota.reached', {
+    tokenId: tokenData.id,
+    eventName: tokenData.event_name,
+    code,
+    reason: quota.reason
+  });
+  
+  if (closed) {
+    return {
+      error: 'This event is no longer accepting uploads. Please let the host know.',
+      code
+    };
+  }
+  
+  return {
+    error: 'This event\'s storage is full, so no more files can be added. Please let the host know.',
+    code
+  };
+}
+
+// Resolve the token and its owner's upload policy before any file data is accepted
+async function loadUploadToken(req, res, next) {
+  try {
+    const tokenData = await findUploadToken(req, res);
+    if (!tokenData) return;
+    
+    // Turn guests away before receiving files when the owner is already out of quota
+    const usage = await db.checkUsageLimits(tokenData.user_id, 0);
+    if (!usage.allowed) {
+      return res.status(403).json(quotaExceededError(tokenData, usage));
+    }
+    
+    req.tokenData = tokenData;
+    req.uploadPolicy = await getUploadPolicy(tokenData.user_id);
+    next();
+  } catch (error) {
+    console.error('Load upload token error:', error);
+    res.status(500).json({ error: 'Upload failed: ' + error.message });
+  }
+}
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, 'uploads/');
+  },
+  filename: (req, file, cb) => {
+    cb(null, generateUploadFilename(file.originalname, file.fieldname));
+  }
+});
+
+// Multer is configured per request because the file size limit depends on the owner's plan
+function uploadFiles(req, res, next) {
+  const upload = multer({ 
+    storage: storage,
+    fileFilter: (req, file, cb) => {
+      if (isAllowedUploadType(file.originalname, file.mimetype, req.uploadPolicy)) {
+        return cb(null, true);
+      } else {
+        cb(new Error(uploadTypeError(req.uploadPolicy)));
+      }
+    },
+    limits: { fileSize: req.uploadPolicy.maxFileSize }
+  }).array('photos', 50);
+  
+  upload(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+    
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: fileTooLargeError(req.uploadPolicy) });
+    }
+    res.status(400).json({ error: err.message });
+  });
+}
+
+// Orientation, metadata policy and HEIC conversion for an image upload
+async function prepareImage(tokenData, file) {
+  const stripMetadata = !!tokenData.strip_metadata;
+  const metadata = await readImageMetadata(file.path);
+  const options = { stripMetadata, takenAt: metadata && metadata.takenAt };
+  const { hasGps, ...details } = metadata || {};
+  
+  if (isHeifImage(file.originalName, file.mimetype)) {
+    // The HEIC original can't be rewritten without its GPS/device tags, so stripping delivers the JPEG only
+    const converted = tokenData.convert_heic || stripMetadata ? await convertToJpeg(file.path, options) : null;
+    if (stripMetadata && !converted) {
+      console.warn(`Delivering ${file.originalName} with its metadata: this sharp build can't convert it`);
+    }
+    
+    return {
+      converted,
+      keepSource: !stripMetadata,
+      mediaInfo: { ...details, metadataStripped: stripMetadata && !!converted }
+    };
+  }
+  
+  let metadataStripped = stripMetadata;
+  try {
+    await normalizeImage(file.path, options);
+  } catch (error) {
+    console.warn(`Could not normalize ${file.originalName}:`, error.message);
+    metadataStripped = false;
+  }
+  
+  return { converted: null, keepSource: false, mediaInfo: { ...details, metadataStripped } };
+}
+
+// Stage a received file and record it for delivery (shared by multipart and resumable uploads)
+async function ingestUpload(tokenData, file) {
+  const localFiles = [file.path];
+  const feed = { userId: tokenData.user_id, tokenId: tokenData.id, originalName: file.originalName };
+  let uploadId = null;
+  
+  try {
+    const isVideo = isVideoUpload(file.originalName, file.mimetype);
+    const { mediaInfo, converted, keepSource } = isVideo ?
+      { mediaInfo: await probeVideo(file.path), converted: null, keepSource: false } :
+      await prepareImage(tokenData, file);
+    
+    if (converted) {
+      localFiles.push(converted.path);
+    }
+    
+    // Gallery renditions stay in storage after delivery so owners can browse without the originals
+    const imagePath = converted ? converted.path : file.path;
+    const previews = isVideo ? null : await generatePreviews(imagePath);
+    for (const preview of Object.values(previews || {})) {
+      localFiles.push(preview.path);
+    }
+    
+    // Similar shots (burst frames, resized or re-saved copies) are kept but flagged for the owner
+    const imageHash = isVideo ? null : await perceptualHash(imagePath);
+    const nearDuplicateOf = imageHash ?
+      findNearDuplicate(imageHash, await db.getUploadPerceptualHashes(tokenData.id)) :
+      null;
+    
+    // Stage into the storage backend so the worker (and any other instance) can reach the file
+    const baseName = path.basename(file.filename, path.extname(file.filename));
+    let filename = file.filename;
+    let mimetype = file.mimetype;
+    if (converted) {
+      filename = `${baseName}.jpg`;
+      mimetype = 'image/jpeg';
+      await storageBackend.put(filename, converted.path, { contentType: mimetype });
+    }
+    if (!converted || keepSource) {
+      await storageBackend.put(file.filename, file.path, { contentType: file.mimetype });
+    }
+    
+    const storedPreviews = {};
+    for (const [variant, preview] of Object.entries(previews || {})) {
+      const key = `previews/${baseName}-${variant}.webp`;
+      await storageBackend.put(key, preview.path, { contentType: 'image/webp' });
+      storedPreviews[variant] = { key, width: preview.width, height: preview.height };
+    }
+    
+    uploadId = await db.createUpload(
+      tokenData.id,
+      file.originalName,
+      filename,
+      file.size,
+      mimetype,
+      file.guestName || 'Anonymous',
+      file.guestMessage || ''
+    );
+    uploadEvents.publish('upload-received', {
+      ...feed,
+      uploadId,
+      guestName: file.guestName || 'Anonymous',
+      size: file.size,
+      mimetype
+    });
+    
+    if (converted && keepSource) {
+      await db.updateUploadSource(uploadId, file.filename, file.mimetype);
+    }
+    if (mediaInfo) {
+      await db.updateUploadMediaInfo(uploadId, mediaInfo);
+    }
+    if (previews) {
+      await db.updateUploadPreviews(uploadId, storedPreviews);
+    }
+    await db.updateUploadHashes(uploadId, { contentHash: file.contentHash, perceptualHash: imageHash, nearDuplicateOf });
+    
+    // Moderated tokens hold the upload for the owner; approving it queues the delivery
+    if (tokenData.moderate_uploads) {
+      await db.updateUploadReviewStatus(uploadId, 'pending_review');
+    } else {
+      await db.enqueueDeliveryJob(uploadId);
+    }
+    uploadEvents.publish('upload-processed', {
+      ...feed,
+      uploadId,
+      status: tokenData.moderate_uploads ? 'pending_review' : 'pending',
+      converted: !!converted,
+      hasPreview: !!previews,
+      nearDuplicateOf
+    });
+    queueWebhook(tokenData.user_id, 'upload.created', {
+      uploadId,
+      tokenId: tokenData.id,
+      eventName: tokenData.event_name,
+      originalName: file.originalName,
+      guestName: file.guestName || 'Anonymous',
+      size: file.size,
+      mimetype,
+      status: tokenData.moderate_uploads ? 'pending_review' : 'pending'
+    });
+    
+    return {
+      id: uploadId,
+      status: tokenData.moderate_uploads ? 'pending_review' : 'pending',
+      mediaInfo,
+      converted: !!converted,
+      nearDuplicateOf
+    };
+  } catch (error) {
+    uploadEvents.publish('upload-failed', { ...feed, uploadId, stage: 'processing', error: error.message });
+    throw error;
+  } finally {
+    for (const localFile of localFiles) {
+      if (fs.existsSync(localFile)) {
+        fs.unlinkSync(localFile);
+      }
+    }
+  }
+}
+
+// Guest upload requests (chunks excluded, a large file needs many of them)
+const uploadLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.UPLOAD_RATE_LIMIT) || 60,
+  message: { error: 'Too many upload requests, please try again shortly' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+app.post('/api/upload/:token', uploadLimiter, loadUploadToken, uploadFiles, async (req, res) => {
+  // Quota counted for this request but not yet used by a stored upload
+  let reserved = null;
+  
+  try {
+    const { token } = req.params;
+    const { guestName, guestMessage } = guestDetails(req.body);
+    const { tokenData } = req;
+    
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    // The fileFilter only saw the client's name and mimetype; check the bytes before counting anything
+    const files = [];
+    const skipped = [];
+    const batchHashes = new Set();
+    for (const file of req.files) {
+      const validation = await validateUpload(file.path, file.originalname);
+      if (!validation.valid) {
+        console.warn(`Rejected upload ${file.originalname} for token ${tokenData.id}: ${validation.reason}`);
+        fs.unlinkSync(file.path);
+        skipped.push({ filename: file.originalname, status: 'rejected', reason: validation.reason });
+        continue;
+      }
+      
+      // Re-uploads from another device or after a timeout are acknowledged but not stored or counted again
+      file.contentHash = await hashFile(file.path);
+      const duplicate = batchHashes.has(file.contentHash) ?
+        {} :
+        await db.findUploadByContentHash(tokenData.id, file.contentHash);
+      if (duplicate) {
+        fs.unlinkSync(file.path);
+        skipped.push({ filename: file.originalname, status: 'duplicate', ...(duplicate.id && { duplicateOf: duplicate.id }) });
+        continue;
+      }
+      
+      batchHashes.add(file.contentHash);
+      files.push(file);
+    }
+
+    if (files.length === 0 && skipped.every(entry => entry.status === 'rejected')) {
+      return res.status(400).json({ error: 'No valid files uploaded', uploads: skipped });
+    }
+
+    const existingUploads = await db.getUploadsByToken(token);
+    const newUploadCount = files.length;
+    const totalUploads = existingUploads.length + newUploadCount;
+
+    if (totalUploads > tokenData.max_uploads) {
+      files.forEach(file => fs.unlinkSync(file.path));
+      return res.status(413).json({ 
+        error: `Upload limit exceeded. Maximum ${tokenData.max_uploads} files allowed.` 
+      });
+    }
+
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    const quota = files.length > 0 ?
+      await db.reserveUsage(tokenData.user_id, files.length, totalSize) :
+      { allowed: true };
+    if (!quota.allowed) {
+      files.forEach(file => fs.unlinkSync(file.path));
+      return res.status(403).json(quotaExceededError(tokenData, quota));
+    }
+    reserved = { fileCount: files.length, totalSize };
+
+    const uploadResults = [];
+    
+    for (const file of files) {
+      const ingested = await ingestUpload(tokenData, {
+        path: file.path,
+        filename: file.filename,
+        originalName: file.originalname,
+        size: file.size,
+        mimetype: file.mimetype,
+        contentHash: file.contentHash,
+        guestName,
+        guestMessage
+      });
+      reserved.fileCount--;
+      reserved.totalSize -= file.size;
+      
+      uploadResults.push({
+        id: ingested.id,
+        filename: file.originalname,
+        status: ingested.status,
+        ...(ingested.mediaInfo && { mediaInfo: ingested.mediaInfo }),
+        ...(ingested.converted && { convertedToJpeg: true }),
+        ...(ingested.nearDuplicateOf && { nearDuplicateOf: ingested.nearDuplicateOf })
+      });
+    }
+
+    const rejectedCount = skipped.filter(entry => entry.status === 'rejected').length;
+    const duplicateCount = skipped.length - rejectedCount;
+    const summary = [
+      `${files.length} file(s) uploaded successfully`,
+      rejectedCount > 0 && `${rejectedCount} rejected`,
+      duplicateCount > 0 && `${duplicateCount} duplicate(s) skipped`
+    ];
+
+    res.json({
+      success: true,
+      message: summary.filter(Boolean).join(', '),
+      uploads: [...uploadResults, ...skipped],
+      remainingUploads: tokenData.max_uploads - totalUploads
+    });
+
+  } catch (error) {
+    console.error('Upload error:', error);
+    
+    if (reserved && reserved.fileCount > 0) {
+      await db.releaseUsage(req.tokenData.user_id, reserved.fileCount, reserved.totalSize)
+        .catch(releaseError => console.error('Failed to release upload quota:', releaseError));
+    }
+    
+    // Clean up uploaded files on error
+    if (req.files) {
+      req.files.forEach(file => {
+        try {
+          if (fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+          }
+        } catch (unlinkError) {
+          console.error('Failed to delete file:', unlinkError);
+        }
+      });
+    }
+
+    res.status(500).json({ error: 'Upload failed: ' + error.message });
+  }
+});
+
+// Resumable upload sessions: create, send byte ranges in any order (resending is harmless), then complete
+async function findUploadToken(req, res) {
+  const { token } = req.params;
+  
+  if (!validateToken(token)) {
+    res.status(400).json({ error: 'Invalid token format' });
+    return null;
+  }
+  
+  const tokenData = await db.getTokenByValue(token);
+  if (!tokenData) {
+    res.status(404).json({ error: 'Invalid upload token' });
+    return null;
+  }
+  
+  if (tokenData.expires_at && new Date() > new Date(tokenData.expires_at)) {
+    res.status(410).json({ error: 'Upload token has expired' });
+    return null;
+  }
+  
+  return tokenData;
+}
+
+async function findUploadSession(req, res, tokenData) {
+  const session = await uploadSessions.get(req.params.sessionId);
+  if (!session || session.token_id != tokenData.id) {
+    res.status(404).json({ error: 'Upload session not found or expired' });
+    return null;
+  }
+  return session;
+}
+
+function formatUploadSession(session) {
+  return {
+    sessionId: session.id,
+    fileName: session.original_name,
+    size: session.size,
+    status: session.status,
+    receivedBytes: session.received_bytes,
+    receivedRanges: session.received_ranges,
+    missingRanges: uploadSessions.missingRanges(session),
+    chunkSize: uploadSessions.chunkSize,
+    expiresAt: session.expires_at,
+    uploadId: session.upload_id || null
+  };
+}
+
+app.post('/api/upload/:token/sessions', uploadLimiter, async (req, res) => {
+  try {
+    const tokenData = await findUploadToken(req, res);
+    if (!tokenData) return;
+    
+    const { fileName, mimetype } = req.body;
+    const { guestName, guestMessage } = guestDetails(req.body);
+    const fileSize = parseInt(req.body.fileSize);
+    
+    if (!fileName || !mimetype || !fileSize || fileSize < 1) {
+      return res.status(400).json({ error: 'fileName, fileSize and mimetype are required' });
+    }
+    
+    const policy = await getUploadPolicy(tokenData.user_id);
+    if (!isAllowedUploadType(fileName, mimetype, policy)) {
+      return res.status(400).json({ error: uploadTypeError(policy) });
+    }
+    
+    if (fileSize > policy.maxFileSize) {
+      return res.status(413).json({ error: fileTooLargeError(policy) });
+    }
+    
+    if (await uploadSessions.atOpenSessionLimit(tokenData.id, req.ip)) {
+      return res.status(429).json({ error: 'Too many unfinished uploads, complete or cancel some before starting more' });
+    }
+    
+    // Fail early when the event is already full; the limit is enforced again at completion
+    const existingUploads = await db.getUploadsByToken(req.params.token);
+    if (existingUploads.length >= tokenData.max_uploads) {
+      return res.status(413).json({ 
+        error: `Upload limit exceeded. Maximum ${tokenData.max_uploads} files allowed.` 
+      });
+    }
+    
+    // The session holds the file's quota until it completes, is cancelled or expires
+    const usage = await db.reserveUsage(tokenData.user_id, 1, fileSize);
+    if (!usage.allowed) {
+      return res.status(403).json(quotaExceededError(tokenData, usage));
+    }
+    
+    let session;
+    try {
+      session = await uploadSessions.create(tokenData.id, {
+        fileName, fileSize, mimetype, guestName, guestMessage, clientIp: req.ip, quotaReserved: true
+      });
+    } catch (error) {
+      await db.releaseUsage(tokenData.user_id, 1, fileSize);
+      throw error;
+    }
+    res.status(201).json(formatUploadSession(session));
+  } catch (error) {
+    console.error('Create upload session error:', error);
+    res.status(500).json({ error: 'Failed to create upload session' });
+  }
+});
+
+app.get('/api/upload/:token/sessions/:sessionId', async (req, res) => {
+  try {
+    const tokenData = await findUploadToken(req, res);
+    if (!tokenData) return;
+    
+    const session = await findUploadSession(req, res, tokenData);
+    if (!session) return;
+    
+    res.json(formatUploadSession(session));
+  } catch (error) {
+    console.error('Get upload session error:', error);
+    res.status(500).json({ error: 'Failed to get upload session' });
+  }
+});
+
+// Chunks are raw bytes with a Content-Range header, e.g. "bytes 0-1048575/5242880"
+app.put('/api/upload/:token/sessions/:sessionId', express.raw({ type: () => true, limit: uploadSessions.maxChunkSize }), async (req, res) => {
+  try {
+    const tokenData = await findUploadToken(req, res);
+    if (!tokenData) return;
+    
+    const session = await findUploadSession(req, res, tokenData);
+    if (!session) return;
+    
+    if (session.status !== 'active') {
+      return res.status(409).json({ error: 'Upload session is already completed', ...formatUploadSession(session) });
+    }
+    
+    const range = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(req.get('Content-Range') || '');
+    if (!range) {
+      return res.status(400).json({ error: 'Content-Range header is required (bytes start-end/total)' });
+    }
+    
+    const start = parseInt(range[1]);
+    const end = parseInt(range[2]);
+    const total = parseInt(range[3]);
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    
+    if (total !== session.size || end < start || end >= session.size) {
+      return res.status(416).json({ error: `Range must fall within the file size of ${session.size} bytes` });
+    }
+    
+    if (chunk.length !== end - start + 1) {
+      return res.status(400).json({ error: 'Chunk length does not match Content-Range' });
+    }
+    
+    const updatedSession = await uploadSessions.writeChunk(session.id, start, chunk);
+    res.json(formatUploadSession(updatedSession));
+  } catch (error) {
+    if (error.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Chunk too large. Maximum chunk size is ${uploadSessions.maxChunkSize / (1024 * 1024)}MB.` });
+    }
+    console.error('Upload chunk error:', error);
+    res.status(500).json({ error: 'Failed to store chunk: ' + error.message });
+  }
+});
+
+app.post('/api/upload/:token/sessions/:sessionId/complete', async (req, res) => {
+  try {
+    const tokenData = await findUploadToken(req, res);
+    if (!tokenData) return;
+    
+    const session = await findUploadSession(req, res, tokenData);
+    if (!session) return;
+    
+    // Serialized with chunk writes so a retried completion can't create the upload twice
+    const result = await uploadSessions.withLock(session.id, async () => {
+      const current = await uploadSessions.get(session.id);
+      if (!current) {
+        return { status: 404, body: { error: 'Upload session not found or expired' } };
+      }
+      
+      // The client may retry if the first response was lost
+      if (current.status === 'completed') {
+        return { status: 200, body: { success: true, upload: { id: current.upload_id, filename: current.original_name } } };
+      }
+      
+      if (!uploadSessions.isComplete(current)) {
+        return { status: 409, body: { error: 'Upload is incomplete', ...formatUploadSession(current) } };
+      }
+      
+      // A file that fails validation won't pass on retry, so the session is discarded
+      const validation = await validateUpload(uploadSessions.filePath(current.id), current.original_name);
+      if (!validation.valid) {
+        console.warn(`Rejected upload ${current.original_name} for token ${tokenData.id}: ${validation.reason}`);
+        await uploadSessions.remove(current.id);
+        return { status: 400, body: { error: validation.reason, status: 'rejected' } };
+      }
+      
+      // A file this token already has completes the session against the existing upload
+      const contentHash = await hashFile(uploadSessions.filePath(current.id));
+      const duplicate = await db.findUploadByContentHash(tokenData.id, contentHash);
+      if (duplicate) {
+        if (current.quota_reserved) {
+          await db.releaseUsage(tokenData.user_id, 1, current.size);
+        }
+        await fs.promises.unlink(uploadSessions.filePath(current.id));
+        await db.completeUploadSession(current.id, duplicate.id);
+        return {
+          status: 200,
+          body: { success: true, upload: { id: duplicate.id, filename: current.original_name, status: 'duplicate' } }
+        };
+      }
+      
+      const existingUploads = await db.getUploadsByToken(req.params.token);
+      const totalUploads = existingUploads.length + 1;
+      if (totalUploads > tokenData.max_uploads) {
+        return { status: 413, body: { error: `Upload limit exceeded. Maximum ${tokenData.max_uploads} files allowed.` } };
+      }
+      
+      // Sessions started before quota was held from creation reserve it now
+      if (!current.quota_reserved) {
+        const quota = await db.reserveUsage(tokenData.user_id, 1, current.size);
+        if (!quota.allowed) {
+          return { status: 403, body: quotaExceededError(tokenData, quota) };
+        }
+      }
+      
+      let ingested;
+      try {
+        ingested = await ingestUpload(tokenData, {
+          path: uploadSessions.filePath(current.id),
+          filename: generateUploadFilename(current.original_name),
+          originalName: current.original_name,
+          size: current.size,
+          mimetype: current.mimetype,
+          contentHash,
+          guestName: current.guest_name,
+          guestMessage: current.guest_message
+        });
+      } catch (error) {
+        // A session's own reservation stays with it for a retry, and is released when it expires
+        if (!current.quota_reserved) {
+          await db.releaseUsage(tokenData.user_id, 1, current.size);
+        }
+        throw error;
+      }
+      
+      const uploadId = ingested.id;
+      await db.completeUploadSession(current.id, uploadId);
+      
+      return {
+        status: 200,
+        body: {
+          success: true,
+          upload: {
+            id: uploadId,
+            filename: current.original_name,
+            status: ingested.status,
+            ...(ingested.nearDuplicateOf && { nearDuplicateOf: ingested.nearDuplicateOf })
+          },
+          remainingUploads: tokenData.max_uploads - totalUploads
+        }
+      };
+    });
+    
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Complete upload session error:', error);
+    res.status(500).json({ error: 'Upload failed: ' + error.message });
+  }
+});
+
+app.delete('/api/upload/:token/sessions/:sessionId', async (req, res) => {
+  try {
+    const tokenData = await findUploadToken(req, res);
+    if (!tokenData) return;
+    
+    const session = await findUploadSession(req, res, tokenData);
+    if (!session) return;
+    
+    if (session.status === 'completed') {
+      return res.status(409).json({ error: 'Upload session is already completed' });
+    }
+    
+    await uploadSessions.withLock(session.id, () => uploadSessions.remove(session.id));
+    res.json({ success: true, message: 'Upload session cancelled' });
+  } catch (error) {
+    console.error('Cancel upload session error:', error);
+    res.status(500).json({ error: 'Failed to cancel upload session' });
+  }
+});
+
+// Swap stored preview keys for short-lived URLs the dashboard can load directly
+async function withPreviewUrls(upload) {
+  if (!upload.previews || !storageBackend.isReady()) {
+    return { ...upload, previews: null };
+  }
+  
+  const previews = {};
+  for (const [variant, preview] of Object.entries(upload.previews)) {
+    previews[variant] = {
+      url: await storageBackend.getSignedUrl(preview.key, 60 * 60),
+      width: preview.width,
+      height: preview.height
+    };
+  }
+  return { ...upload, previews };
+}
+
+app.get('/api/uploads', requireAuth, async (req, res) => {
+  try {
+    const uploads = await db.getUserUploads(req.session.userId);
+    res.json(await Promise.all(uploads.map(withPreviewUrls)));
+  } catch (error) {
+    console.error('Get uploads error:', error);
+    res.status(500).json({ error: 'Failed to get uploads' });
+  }
+});
+
+// Live upload feed (Server-Sent Events) so the dashboard doesn't have to poll /api/uploads
+const EVENT_STREAM_HEARTBEAT = 25 * 1000; // under typical proxy idle timeouts
+const MAX_EVENT_STREAMS_PER_USER = parseInt(process.env.MAX_EVENT_STREAMS_PER_USER) || 5;
+const openEventStreams = new Map();
+
+app.get('/api/events', requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const { tokenId } = req.query;
+    
+    if (tokenId) {
+      const token = await db.getTokenById(tokenId);
+      if (!token || token.user_id !== userId) {
+        return res.status(404).json({ error: 'Token not found' });
+      }
+    }
+    
+    const streams = openEventStreams.get(userId) || 0;
+    if (streams >= MAX_EVENT_STREAMS_PER_USER) {
+      return res.status(429).json({ error: 'Too many open live feeds, close another tab and try again' });
+    }
+    openEventStreams.set(userId, streams + 1);
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // nginx would otherwise hold events back
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    
+    const unsubscribe = uploadEvents.subscribe(userId, tokenId, event => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    });
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), EVENT_STREAM_HEARTBEAT);
+    
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      
+      const remaining = openEventStreams.get(userId) - 1;
+      if (remaining > 0) {
+        openEventStreams.set(userId, remaining);
+      } else {
+        openEventStreams.delete(userId);
+      }
+    });
+  } catch (error) {
+    console.error('Open event stream error:', error);
+    res.status(500).json({ error: 'Failed to open live feed' });
+  }
+});
+
+// Uploads whose Drive delivery has failed (still retrying or dead-lettered)
+app.get('/api/uploads/failed', requireAuth, async (req, res) => {
+  try {
+    const jobs = await db.getFailedDeliveryJobs(req.session.userId);
+    res.json(jobs);
+  } catch (error) {
+    console.error('Get failed uploads error:', error);
+    res.status(500).json({ error: 'Failed to get failed uploads' });
+  }
+});
+
+app.post('/api/uploads/:id/retry', requireAuth, async (req, res) => {
+  try {
+    const upload = await db.getUploadById(req.params.id);
+    
+    if (!upload || upload.user_id !== req.session.userId) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    
+    if (upload.uploaded_to_drive) {
+      return res.status(409).json({ error: 'Upload already delivered to Google Drive' });
+    }
+    
+    if (upload.scan_status === 'infected') {
+      return res.status(409).json({ error: 'Upload was blocked because malware was detected' });
+    }
+    
+    if (upload.review_status === 'pending_review' || upload.review_status === 'rejected') {
+      return res.status(409).json({ error: 'Only approved uploads can be delivered' });
+    }
+    
+    await db.enqueueDeliveryJob(upload.id);
+    
+    res.json({
+      success: true,
+      uploadId: upload.id,
+      status: 'queued'
+    });
+  } catch (error) {
+    console.error('Retry upload error:', error);
+    res.status(500).json({ error: 'Failed to retry upload' });
+  }
+});
+
+// Moderation: uploads to tokens with moderateUploads wait here until the owner decides
+const REVIEW_DECISIONS = {
+  approve: 'approved',
+  reject: 'rejected'
+};
+
+// Remove an upload's staged files and previews, including copies from before storage staging
+async function deleteStagedFiles(upload) {
+  // The worker removes the files themselves once they are delivered; previews stay until now
+  const files = upload.uploaded_to_drive ? [] : [upload.filename, upload.source_filename];
+  const previews = Object.values(upload.previews || {}).map(preview => preview.key);
+  
+  for (const key of [...files, ...previews].filter(Boolean)) {
+    const localPath = path.join(uploadsDir, key);
+    if (fs.existsSync(localPath)) {
+      fs.unlinkSync(localPath);
+      continue;
+    }
+    
+    if (!storageBackend.isReady()) {
+      continue;
+    }
+    
+    try {
+      await storageBackend.delete(key);
+    } catch (error) {
+      console.error(`Failed to delete staged file ${key}:`, error.message);
+    }
+  }
+}
+
+// Apply an owner's decision to one upload; returns { status, body } for the response
+async function reviewUpload(userId, uploadId, decision) {
+  const upload = await db.getUploadById(uploadId);
+  if (!upload || upload.user_id !== userId) {
+    return { status: 404, body: { error: 'Upload not found' } };
+  }
+  
+  const reviewStatus = REVIEW_DECISIONS[decision];
+  
+  // Conditional on the current state, so a double click or a parallel bulk request can't apply twice
+  const changed = await db.updateUploadReviewStatus(upload.id, reviewStatus, 'pending_review');
+  if (!changed) {
+    return { status: 409, body: { error: 'Upload is not awaiting review' } };
+  }
+  
+  if (reviewStatus === 'approved') {
+    await db.enqueueDeliveryJob(upload.id);
+  } else {
+    await deleteStagedFiles(upload);
+    await db.updateUploadPreviews(upload.id, null);
+    await db.releaseUsage(userId, 1, upload.size);
+  }
+  
+  return { status: 200, body: { success: true, uploadId: upload.id, reviewStatus } };
+}
+
+app.get('/api/uploads/review', requireAuth, async (req, res) => {
+  try {
+    const uploads = await db.getPendingReviewUploads(req.session.userId);
+    res.json(await Promise.all(uploads.map(withPreviewUrls)));
+  } catch (error) {
+    console.error('Get uploads pending review error:', error);
+    res.status(500).json({ error: 'Failed to get uploads pending review' });
+  }
+});
+
+function reviewUploadRoute(decision) {
+  return async (req, res) => {
+    try {
+      const result = await reviewUpload(req.session.userId, req.params.id, decision);
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error('Review upload error:', error);
+      res.status(500).json({ error: 'Failed to review upload' });
+    }
+  };
+}
+
+// Bulk decisions take { uploadIds: [...] } and report a result per upload
+function reviewUploadsRoute(decision) {
+  return async (req, res) => {
+    try {
+      const { uploadIds } = req.body;
+      
+      if (!Array.isArray(uploadIds) || uploadIds.length === 0) {
+        return res.status(400).json({ error: 'uploadIds must be a non-empty array' });
+      }
+      
+      const results = [];
+      for (const uploadId of uploadIds) {
+        const result = await reviewUpload(req.session.userId, uploadId, decision);
+        results.push(result.status === 200 ? result.body : { uploadId, error: result.body.error });
+      }
+      
+      res.json({
+        success: true,
+        reviewed: results.filter(result => result.success).length,
+        results
+      });
+    } catch (error) {
+      console.error('Bulk review uploads error:', error);
+      res.status(500).json({ error: 'Failed to review uploads' });
+    }
+  };
+}
+
+app.post('/api/uploads/approve', requireAuth, reviewUploadsRoute('approve'));
+app.post('/api/uploads/reject', requireAuth, reviewUploadsRoute('reject'));
+app.post('/api/uploads/:id/approve', requireAuth, reviewUploadRoute('approve'));
+app.post('/api/uploads/:id/reject', requireAuth, reviewUploadRoute('reject'));
+
+// Open a staged file from the storage backend (or uploads/ for rows from before staging); null once it's gone
+async function openUploadFile(key) {
+  const localPath = path.join(uploadsDir, key);
+  if (fs.existsSync(localPath)) {
+    return fs.createReadStream(localPath);
+  }
+  
+  if (!storageBackend.isReady()) {
+    return null;
+  }
+  return storageBackend.getStream(key).catch(() => null);
+}
+
+// The name a stored file goes out under, matching what the worker delivers
+function uploadFileName(upload) {
+  const converted = path.extname(upload.filename).toLowerCase() !== path.extname(upload.original_name).toLowerCase();
+  return converted ? convertedFileName(upload.original_name) : upload.original_name;
+}
+
+// Owner access to staged files before (or instead of) delivery
+// With a scanner configured, guests' files aren't handed out until the worker has scanned them
+const scanningEnabled = !!process.env.MALWARE_SCANNER;
+
+function awaitingScan(upload) {
+  return scanningEnabled && (!upload.scan_status || upload.scan_status === 'pending');
+}
+
+// Infected files, and files too large to scan unless MALWARE_SCAN_FAIL_OPEN=true, are never handed out
+function scanBlocked(upload) {
+  return upload.scan_status === 'infected' ||
+    (scanningEnabled && upload.scan_status === 'skipped' && !deliverUnscannedFiles());
+}
+
+app.get('/api/uploads/:id/download', requireAuth, async (req, res) => {
+  try {
+    const upload = await db.getUploadById(req.params.id);
+    
+    if (!upload || upload.user_id !== req.session.userId) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    
+    if (scanBlocked(upload)) {
+      return res.status(403).json({
+        error: upload.scan_status === 'infected' ?
+          'Upload was blocked because malware was detected' :
+          'Upload was blocked because it is too large to be scanned for malware'
+      });
+    }
+    
+    if (awaitingScan(upload)) {
+      return res.status(409).json({ error: 'Scan pending: this upload is still being checked for malware, try again shortly' });
+    }
+    
+    // The file the guest sent: the kept original behind a converted upload, otherwise the stored file
+    const key = upload.source_filename || upload.filename;
+    const mimetype = upload.source_filename ? upload.source_mimetype : upload.mimetype;
+    
+    const stream = await openUploadFile(key);
+    if (!stream) {
+      return res.status(410).json({
+        error: upload.uploaded_to_drive ?
+          'Upload was already delivered and is no longer stored here' :
+          'Upload file is no longer available'
+      });
+    }
+    
+    res.attachment(upload.source_filename ? upload.original_name : uploadFileName(upload));
+    res.type(mimetype);
+    stream.on('error', (error) => {
+      console.error('Download upload stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download upload error:', error);
+    res.status(500).json({ error: 'Failed to download upload' });
+  }
+});
+
+// Delete an upload's files, delivery job and row; returns false when it doesn't belong to the user
+async function removeUpload(userId, uploadId) {
+  const upload = await db.getUploadById(uploadId);
+  if (!upload || upload.user_id !== userId) {
+    return false;
+  }
+  
+  await deleteStagedFiles(upload);
+  await db.deleteUpload(upload.id);
+  
+  // Rejected uploads already gave their quota back, and delivered ones keep counting:
+  // the files are in the owner's Drive, so deleting the row must not reset the plan's limits
+  if (upload.review_status !== 'rejected' && !upload.uploaded_to_drive) {
+    await db.releaseUsage(userId, 1, upload.size);
+  }
+  return true;
+}
+
+app.delete('/api/uploads/:id', requireAuth, async (req, res) => {
+  try {
+    const removed = await removeUpload(req.session.userId, req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete upload error:', error);
+    res.status(500).json({ error: 'Failed to delete upload' });
+  }
+});
+
+// ZIP of an event's staged files; ?byGuest=true puts each guest's files in their own folder and
+// ?messages=true adds the guests' messages as messages.txt
+app.get('/api/tokens/:tokenId/uploads/archive', requireAuth, async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const byGuest = req.query.byGuest === 'true';
+    const includeMessages = req.query.messages === 'true';
+    
+    // Verify token belongs to user
+    const token = await db.getTokenById(tokenId);
+    if (!token || token.user_id !== req.session.userId) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    
+    const uploads = [];
+    let scanPending = 0;
+    for (const uploadId of await db.getUploadIdsByTokenId(token.id)) {
+      const upload = await db.getUploadById(uploadId);
+      if (!upload || upload.review_status === 'rejected' || scanBlocked(upload)) {
+        continue;
+      }
+      if (awaitingScan(upload)) {
+        scanPending++;
+      } else {
+        uploads.push(upload);
+      }
+    }
+    
+    if (uploads.length === 0) {
+      if (scanPending > 0) {
+        return res.status(409).json({ error: 'Scan pending: these uploads are still being checked for malware, try again shortly' });
+      }
+      return res.status(404).json({ error: 'No uploads found for this token' });
+    }
+    
+    // Photos and videos are already compressed, so entries are stored as-is
+    const archive = archiver('zip', { store: true });
+    const sanitizedName = (token.event_name || 'event').replace(/\s+/g, '-').toLowerCase().replace(/[^a-z0-9-]/g, '');
+    
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${sanitizedName || 'event'}-uploads.zip"`);
+    
+    archive.on('error', (error) => {
+      console.error('Upload archive error:', error);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+    
+    const usedNames = new Set();
+    const uniqueName = (name) => {
+      const extension = path.extname(name);
+      const base = name.slice(0, name.length - extension.length);
+      let candidate = name;
+      for (let copy = 2; usedNames.has(candidate.toLowerCase()); copy++) {
+        candidate = `${base} (${copy})${extension}`;
+      }
+      usedNames.add(candidate.toLowerCase());
+      return candidate;
+    };
+    
+    let added = 0;
+    for (const upload of uploads) {
+      const folder = byGuest ?
+        `${(upload.uploader_name || 'Anonymous').replace(/[\\/:*?"<>|]/g, '_').trim() || 'Anonymous'}/` :
+        '';
+      const files = [{ key: upload.filename, name: uploadFileName(upload) }];
+      if (upload.source_filename) {
+        files.push({ key: upload.source_filename, name: upload.original_name });
+      }
+      
+      for (const file of files) {
+        // Files already delivered to the owner's destination are no longer staged
+        const stream = await openUploadFile(file.key);
+        if (!stream) {
+          continue;
+        }
+        
+        // One open storage stream at a time, however large the event
+        const uploadedAt = new Date(upload.uploaded_at);
+        archive.append(stream, {
+          name: uniqueName(folder + path.basename(file.name)),
+          ...(!isNaN(uploadedAt) && { date: uploadedAt })
+        });
+        await new Promise((resolve, reject) => {
+          const onEntry = () => {
+            archive.off('error', onError);
+            resolve();
+          };
+          const onError = (error) => {
+            archive.off('entry', onEntry);
+            reject(error);
+          };
+          archive.once('entry', onEntry);
+          archive.once('error', onError);
+        });
+        added++;
+      }
+    }
+    
+    if (includeMessages) {
+      const messages = uploads
+        .filter(upload => upload.guest_message)
+        .map(upload => `${upload.uploader_name || 'Anonymous'}: ${upload.guest_message}`);
+      if (messages.length > 0) {
+        archive.append([...new Set(messages)].join('\n') + '\n', { name: uniqueName('messages.txt') });
+      }
+    }
+    
+    if (added === 0) {
+      console.warn(`Upload archive for token ${token.id} has no staged files left`);
+    }
+    archive.finalize();
+  } catch (error) {
+    console.error('Upload archive error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Failed to create uploads archive' });
+    }
+  }
+});
+
+// Guest messages for an event as JSON, or ?format=csv / ?format=pdf to download
+app.get('/api/tokens/:tokenId/guestbook', requireAuth, async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const format = (req.query.format || 'json').toLowerCase();
+    
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return res.status(400).json({ error: 'Unsupported format. Supported: json, csv, pdf' });
+    }
+    
+    // Verify token belongs to user
+    const token = await db.getTokenById(tokenId);
+    if (!token || token.user_id !== req.session.userId) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    
+    const entries = await db.getGuestbook(token.id);
+    const eventName = token.event_name || 'Photo Collection';
+    const sanitizedName = eventName.replace(/\s+/g, '-').toLowerCase().replace(/[^a-z0-9-]/g, '') || 'event';
+    
+    if (format === 'csv') {
+      res.attachment(`${sanitizedName}-guestbook.csv`);
+      res.type('text/csv');
+      return res.send(guestbook.toCsv(entries));
+    }
+    
+    if (format === 'pdf') {
+      res.attachment(`${sanitizedName}-guestbook.pdf`);
+      res.type('application/pdf');
+      return guestbook.writePdf(entries, eventName, res);
+    }
+    
+    res.json({
+      success: true,
+      eventName,
+      entries: entries.map(entry => ({
+        guestName: entry.guest_name,
+        message: entry.message,
+        uploadCount: entry.upload_count,
+        firstUploadAt: entry.first_upload_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get guestbook error:', error);
+    res.status(500).json({ error: 'Failed to get guestbook' });
+  }
+});
+
+app.delete('/api/tokens/:tokenId/uploads', requireAuth, async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    
+    // Verify token belongs to user
+    const token = await db.getTokenById(tokenId);
+    if (!token || token.user_id !== req.session.userId) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    
+    const uploadIds = await db.getUploadIdsByTokenId(token.id);
+    let deleted = 0;
+    for (const uploadId of uploadIds) {
+      if (await removeUpload(req.session.userId, uploadId)) {
+        deleted++;
+      }
+    }
+    
+    res.json({ success: true, deleted });
+  } catch (error) {
+    console.error('Delete token uploads error:', error);
+    res.status(500).json({ error: 'Failed to delete uploads' });
+  }
+});
+
+app.get('/api/uploads/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+    // Get token data first to get user ID
+    const tokenData = await db.getTokenByValue(token);
+    if (!tokenData) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    const uploads = await db.getUserUploads(tokenData.user_id);
+    res.json(uploads.filter(u => u.token === token));
+  } catch (error) {
+    console.error('Get uploads by token error:', error);
+    res.status(500).json({ error: 'Failed to get uploads' });
+  }
+});
+
+// Signed URLs for the local disk storage driver (other drivers sign URLs natively)
+app.get('/api/storage/:key', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { expires, signature } = req.query;
+    
+    if (!storageBackend.verifySignedUrl || !storageBackend.verifySignedUrl(key, expires, signature)) {
+      return res.status(403).json({ error: 'Invalid or expired link' });
+    }
+    
+    const stream = await storageBackend.getStream(key);
+    res.type(path.extname(key) || 'application/octet-stream');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    // Local disk streams report a missing file here rather than from getStream
+    stream.on('error', (error) => {
+      if (res.headersSent) {
+        console.error('Stored file stream error:', error);
+        return res.destroy(error);
+      }
+      
+      res.removeHeader('Cache-Control');
+      res.type('json');
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      console.error('Stored file stream error:', error);
+      res.status(500).json({ error: 'Failed to get file' });
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    console.error('Get stored file error:', error);
+    res.status(500).json({ error: 'Failed to get file' });
+  }
+});
+
+// Subscription endpoints
+app.get('/api/subscription', requireAuth, async (req, res) => {
+  try {
+    const subscription = await db.getSubscriptionByUserId(req.session.userId);
+    res.json(subscription || { status: 'none' });
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({ error: 'Failed to get subscription' });
+  }
+});
+
+app.get('/api/pricing/:countryCode', async (req, res) => {
+  try {
+    const { countryCode } = req.params;
+    const pricing = await regionalPricing.getPricingForCountry(countryCode);
+    res.json(pricing);
+  } catch (error) {
+    console.error('Get pricing error:', error);
+    res.status(500).json({ error: 'Failed to get pricing' });
+  }
+});
+
+app.post('/api/create-checkout-session', requireAuth, async (req, res) => {
+  try {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      return res.status(400).json({ error: 'Stripe not configured' });
+    }
+
+    const { priceId, countryCode } = req.body;
+    const user = await db.getUserById(req.session.userId);
+    
+    const session = await stripeService.createCheckoutSession(
+      user.email,
+      priceId,
+      req.session.userId,
+      countryCode,
+      process.env.FRONTEND_URL || 'http://localhost:3001'
+    );
+
+    res.json({ url: session.url });
+  } catch (error) {
+    console.error('Create checkout session error:', error);
+    res.status(500).json({ error: 'Failed to create checkout session' });
+  }
+});
+
+app.post('/api/create-portal-session', requireAuth, async (req, res) => {
+  try {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      return res.status(400).json({ error: 'Stripe not configured' });
+    }
+
+    const subscription = await db.getSubscriptionByUserId(req.session.userId);
+    if (!subscription || !subscription.stripe_customer_id) {
+      return res.status(400).json({ error: 'No active subscription found' });
+    }
+
+    const session = await stripeService.createPortalSession(
       subscription.stripe_customer_id,
       process.env.FRONTEND_URL || 'http://localhost:3001'
     );
@@ -1234,11 +2794,16 @@ app.get('/api/drive/status', requireAuth, async (req, res) => {
   try {
     const user = await db.getUserById(req.session.userId);
     const tokens = await db.getGoogleDriveTokens(req.session.userId);
+    const reconnectRequired = !!(tokens && tokens.needs_reconnect);
     
     res.json({ 
-      connected: !!tokens,
+      connected: !!tokens && !reconnectRequired,
+      reconnectRequired,
+      reconnectReason: reconnectRequired ? tokens.reconnect_reason : null,
+      reconnectUrl: reconnectRequired ? '/api/drive/reconnect' : null,
       hasCredentials: !!user.google_credentials,
       hasToken: !!tokens,
+      folderName: user.drive_folder_name || user.driveFolderName || 'GuestStory',
       type: 'oauth'
     });
   } catch (error) {
@@ -1246,6 +2811,296 @@ app.get('/api/drive/status', requireAuth, async (req, res) => {
   }
 });
 
+// Re-run Google consent after the stored refresh token was revoked or expired
+app.get('/api/drive/reconnect', requireAuth, (req, res) => {
+  res.redirect('/auth/google');
+});
+
+app.put('/api/drive/folder', requireAuth, async (req, res) => {
+  try {
+    const { folderName } = req.body;
+    
+    if (!folderName || typeof folderName !== 'string' || !folderName.trim()) {
+      return res.status(400).json({ error: 'Folder name is required' });
+    }
+    
+    if (folderName.length > 255) {
+      return res.status(400).json({ error: 'Folder name must be 255 characters or less' });
+    }
+    
+    await db.updateDriveFolderName(req.session.userId, folderName.trim());
+    
+    res.json({ success: true, folderName: folderName.trim() });
+  } catch (error) {
+    console.error('Update drive folder error:', error);
+    res.status(500).json({ error: 'Failed to update drive folder' });
+  }
+});
+
+// Delivery destination endpoints
+function maskDestinationConfig(config = {}) {
+  const { password, ...rest } = config;
+  return { ...rest, hasPassword: !!password };
+}
+
+app.get('/api/destination', requireAuth, async (req, res) => {
+  try {
+    const destination = await db.getDeliveryDestination(req.session.userId);
+    
+    res.json({
+      type: destination ? destination.type : DEFAULT_DESTINATION,
+      config: destination ? maskDestinationConfig(destination.config) : {},
+      reconnectRequired: !!(destination && destination.needs_reconnect),
+      reconnectReason: destination && destination.needs_reconnect ? destination.reconnect_reason : null,
+      availableTypes: destinationTypes
+    });
+  } catch (error) {
+    console.error('Get destination error:', error);
+    res.status(500).json({ error: 'Failed to get delivery destination' });
+  }
+});
+
+app.put('/api/destination', requireAuth, async (req, res) => {
+  try {
+    const { type, config = {} } = req.body;
+    
+    if (!destinationTypes.includes(type)) {
+      return res.status(400).json({ error: `Destination type must be one of: ${destinationTypes.join(', ')}` });
+    }
+    
+    let destinationConfig = {};
+    if (type === 'webdav') {
+      if (!config.url || !/^https?:\/\//.test(config.url)) {
+        return res.status(400).json({ error: 'A valid WebDAV URL is required' });
+      }
+      
+      try {
+        await assertPublicUrl(config.url, { label: 'WebDAV URL' });
+      } catch (error) {
+        if (error.code === 'ERR_INVALID_URL') return res.status(400).json({ error: 'A valid WebDAV URL is required' });
+        if (error.code === 'ENOTFOUND') return res.status(400).json({ error: 'The WebDAV host could not be resolved' });
+        return res.status(400).json({ error: error.message });
+      }
+      
+      // Keep the saved password when the client leaves it blank (it is never sent back)
+      const existing = await db.getDeliveryDestination(req.session.userId);
+      const existingPassword = existing && existing.type === 'webdav' ? existing.config.password : undefined;
+      
+      destinationConfig = {
+        url: config.url,
+        username: config.username || '',
+        password: config.password || existingPassword || '',
+        folder: config.folder || 'GuestStory'
+      };
+    }
+    
+    await db.saveDeliveryDestination(req.session.userId, type, destinationConfig);
+    
+    // Check the connection right away so misconfiguration shows up in settings, not in failed uploads
+    const provider = createDestination(type, db);
+    const connected = await provider.initializeForUser(req.session.userId);
+    
+    res.json({
+      success: true,
+      type,
+      config: maskDestinationConfig(destinationConfig),
+      connected
+    });
+  } catch (error) {
+    console.error('Update destination error:', error);
+    res.status(500).json({ error: 'Failed to update delivery destination' });
+  }
+});
+
+// Webhook endpoints (events are queued here and in the worker, and sent by the worker)
+const MAX_WEBHOOKS_PER_USER = 10;
+
+// The secret is only returned when the endpoint is created
+function toWebhookResponse(webhook) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    events: webhook.events,
+    active: webhook.active,
+    createdAt: webhook.created_at
+  };
+}
+
+async function findOwnedWebhook(req, res) {
+  const webhook = await db.getWebhookById(req.params.id);
+  if (!webhook || webhook.user_id !== req.session.userId) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+  return webhook;
+}
+
+// Resolves to an error message, or null when the URL and event list are acceptable
+async function webhookValidationError(url, events) {
+  if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+    return `events must list one or more of: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+  
+  try {
+    await webhooks.checkDestination(url);
+    return null;
+  } catch (error) {
+    if (error.code === 'ERR_INVALID_URL') return 'A valid webhook URL is required';
+    if (error.code === 'ENOTFOUND') return 'The webhook host could not be resolved';
+    return error.message;
+  }
+}
+
+app.get('/api/webhooks', requireAuth, async (req, res) => {
+  try {
+    const userWebhooks = await db.getWebhooks(req.session.userId);
+    res.json({ webhooks: userWebhooks.map(toWebhookResponse), availableEvents: WEBHOOK_EVENTS });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ error: 'Failed to get webhooks' });
+  }
+});
+
+app.post('/api/webhooks', requireAuth, async (req, res) => {
+  try {
+    const { url, events } = req.body;
+    
+    const validationError = await webhookValidationError(url, events);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const existing = await db.getWebhooks(req.session.userId);
+    if (existing.length >= MAX_WEBHOOKS_PER_USER) {
+      return res.status(400).json({ error: `You can register up to ${MAX_WEBHOOKS_PER_USER} webhooks` });
+    }
+    
+    const secret = generateSecret();
+    const webhookId = await db.createWebhook(req.session.userId, url, secret, [...new Set(events)]);
+    const webhook = await db.getWebhookById(webhookId);
+    
+    res.status(201).json({ ...toWebhookResponse(webhook), secret });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+app.put('/api/webhooks/:id', requireAuth, async (req, res) => {
+  try {
+    const webhook = await findOwnedWebhook(req, res);
+    if (!webhook) return;
+    
+    const url = req.body.url !== undefined ? req.body.url : webhook.url;
+    const events = req.body.events !== undefined ? req.body.events : webhook.events;
+    const active = req.body.active !== undefined ? !!req.body.active : webhook.active;
+    
+    const validationError = await webhookValidationError(url, events);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    await db.updateWebhook(webhook.id, { url, events: [...new Set(events)], active });
+    res.json(toWebhookResponse(await db.getWebhookById(webhook.id)));
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+app.delete('/api/webhooks/:id', requireAuth, async (req, res) => {
+  try {
+    const webhook = await findOwnedWebhook(req, res);
+    if (!webhook) return;
+    
+    await db.deleteWebhook(webhook.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Delivery log, newest first
+app.get('/api/webhooks/:id/deliveries', requireAuth, async (req, res) => {
+  try {
+    const webhook = await findOwnedWebhook(req, res);
+    if (!webhook) return;
+    
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+    const deliveries = await db.getWebhookDeliveries(webhook.id, limit);
+    
+    res.json({
+      deliveries: deliveries.map(delivery => ({
+        id: delivery.id,
+        eventId: delivery.event_id,
+        eventType: delivery.event_type,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        nextAttemptAt: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+        responseStatus: delivery.response_status,
+        lastError: delivery.last_error,
+        createdAt: delivery.created_at,
+        updatedAt: delivery.updated_at,
+        payload: delivery.payload
+      }))
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ error: 'Failed to get webhook deliveries' });
+  }
+});
+
+// Email notification preferences (the worker sends the emails)
+app.get('/api/notifications/preferences', requireAuth, async (req, res) => {
+  try {
+    const preferences = await db.getNotificationPreferences(req.session.userId);
+    
+    res.json({
+      uploadEmails: preferences.upload_emails,
+      expiryWarnings: preferences.expiry_warnings,
+      availableFrequencies: UPLOAD_EMAIL_FREQUENCIES,
+      emailConfigured: mailer.isConfigured()
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to get notification preferences' });
+  }
+});
+
+app.put('/api/notifications/preferences', requireAuth, async (req, res) => {
+  try {
+    const current = await db.getNotificationPreferences(req.session.userId);
+    const uploadEmails = req.body.uploadEmails !== undefined ? req.body.uploadEmails : current.upload_emails;
+    const expiryWarnings = req.body.expiryWarnings !== undefined ? !!req.body.expiryWarnings : current.expiry_warnings;
+    
+    if (!UPLOAD_EMAIL_FREQUENCIES.includes(uploadEmails)) {
+      return res.status(400).json({ error: `uploadEmails must be one of: ${UPLOAD_EMAIL_FREQUENCIES.join(', ')}` });
+    }
+    
+    await db.saveNotificationPreferences(req.session.userId, { uploadEmails, expiryWarnings });
+    res.json({ success: true, uploadEmails, expiryWarnings });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
+
+app.post('/api/notifications/test', requireAuth, async (req, res) => {
+  try {
+    if (!mailer.isConfigured()) {
+      return res.status(503).json({ error: 'Email is not configured on this server' });
+    }
+    
+    const user = await db.getUserById(req.session.userId);
+    await notifications.sendTestEmail(user);
+    res.json({ success: true, sentTo: user.email });
+  } catch (error) {
+    console.error('Send test email error:', error);
+    res.status(500).json({ error: 'Failed to send test email' });
+  }
+});
+
 // Stats endpoints
 app.get('/api/stats', requireAuth, async (req, res) => {
   try {
@@ -1268,6 +3123,15 @@ async function startServer() {
     // Database initializes in constructor, no need to call initialize()
     console.log('Database initialized');
 
+    // Uploads are staged in the storage backend rather than on this instance
+    const storageInitialized = await storageBackend.initialize();
+    if (!storageInitialized) {
+      console.warn(`Storage backend (${storageBackend.driver}) not initialized. Guest uploads will fail until storage is configured.`);
+    }
+
+    // Relays the worker's delivery events to dashboard streams
+    uploadEvents.connect();
+
     app.listen(PORT, () => {
       console.log(`Backend API server running on port ${PORT}`);
       console.log(`Frontend should connect from: ${process.env.FRONTEND_URL || 'http://localhost:3001'}`);
@@ -1292,9 +3156,10 @@ function cleanupExpiredSessions() {
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
   
-  // Close Redis connection
+  // Close Redis connections
   try {
     await redisClient.quit();
+    await uploadEvents.close();
     console.log('Redis connection closed');
   } catch (error) {
     console.error('Error closing Redis connection:', error);
@@ -1306,9 +3171,10 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully');
   
-  // Close Redis connection
+  // Close Redis connections
   try {
     await redisClient.quit();
+    await uploadEvents.close();
     console.log('Redis connection closed');
   } catch (error) {
     console.error('Error closing Redis connection:', error);
@@ -1320,4 +3186,7 @@ process.on('SIGINT', async () => {
 // Clean up expired sessions every 10 minutes
 setInterval(cleanupExpiredSessions, 10 * 60 * 1000);
 
+// Clean up abandoned and finished resumable uploads every hour
+setInterval(() => uploadSessions.cleanupExpired(), 60 * 60 * 1000);
+
 startServer();
\ No newline at end of file
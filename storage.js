@@ -0,0 +1,41 @@
+const GCPBucketUploader = require('./gcpBucket');
+const LocalDiskStorage = require('./localDiskStorage');
+const S3Storage = require('./s3Storage');
+require('dotenv').config();
+
+/**
+ * Storage backend selection for staged guest uploads.
+ *
+ * Every driver exposes the same interface:
+ *   initialize()                        -> Promise<boolean>
+ *   isReady()                           -> boolean
+ *   put(key, localFilePath, { contentType })
+ *   get(key, localFilePath)             download to a local path
+ *   getStream(key)                      -> Promise<Readable>
+ *   delete(key)
+ *   list(prefix)                        -> Promise<[{ name, created, size }]>
+ *   getSignedUrl(key, expiresInSeconds) -> Promise<string>
+ *
+ * STORAGE_DRIVER picks the driver (gcs, local or s3). When unset, Google Cloud
+ * Storage is used if GOOGLE_CREDENTIALS_PATH is configured, local disk otherwise.
+ */
+const drivers = {
+  gcs: GCPBucketUploader,
+  local: LocalDiskStorage,
+  s3: S3Storage
+};
+
+function createStorage(driver = process.env.STORAGE_DRIVER) {
+  const name = driver || (process.env.GOOGLE_CREDENTIALS_PATH ? 'gcs' : 'local');
+  const StorageDriver = drivers[name];
+
+  if (!StorageDriver) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}". Supported drivers: ${Object.keys(drivers).join(', ')}`);
+  }
+
+  const storage = new StorageDriver();
+  storage.driver = name;
+  return storage;
+}
+
+module.exports = { createStorage };
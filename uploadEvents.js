@@ -0,0 +1,110 @@
+const EventEmitter = require('events');
+const redis = require('redis');
+require('dotenv').config();
+
+const CHANNEL = 'upload-events';
+
+const UPLOAD_EVENTS = ['upload-received', 'upload-processed', 'upload-delivered', 'upload-failed'];
+
+/**
+ * Upload progress events for the live dashboard feed.
+ * The worker runs as its own process, so events travel over Redis pub/sub when Redis is reachable;
+ * without it they only reach listeners in the publishing process.
+ */
+class UploadEventBus extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open dashboard stream
+    this.setMaxListeners(0);
+    this.publisher = null;
+    this.subscriber = null;
+  }
+
+  /**
+   * Connect to Redis in the background; pass { subscribe: false } from processes that only publish
+   */
+  connect({ subscribe = true } = {}) {
+    this.publisher = redis.createClient({
+      socket: {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: parseInt(process.env.REDIS_PORT) || 6379
+      },
+      password: process.env.REDIS_PASSWORD || undefined,
+      database: parseInt(process.env.REDIS_DB) || 0
+    });
+    // Keeps retrying in the background; until then events stay within this process
+    this.publisher.once('error', () => {
+      console.log('Redis not available, live upload events stay within this process');
+    });
+    this.publisher.on('error', () => {});
+
+    this.publisher.connect()
+      .then(async () => {
+        if (subscribe) {
+          this.subscriber = this.publisher.duplicate();
+          this.subscriber.on('error', () => {});
+          await this.subscriber.connect();
+          await this.subscriber.subscribe(CHANNEL, message => this.dispatch(message));
+        }
+        console.log('Live upload events connected to Redis');
+      })
+      .catch(error => {
+        console.warn('Could not subscribe to live upload events:', error.message);
+      });
+  }
+
+  dispatch(message) {
+    try {
+      this.emit('event', JSON.parse(message));
+    } catch (error) {
+      console.warn('Ignoring malformed upload event:', error.message);
+    }
+  }
+
+  /**
+   * Announce an upload event to every listener of its owner.
+   * details should carry userId and tokenId; publishing never throws, the feed is best effort.
+   */
+  publish(type, details) {
+    const event = { type, ...details, at: new Date().toISOString() };
+
+    if (this.publisher && this.publisher.isReady) {
+      this.publisher.publish(CHANNEL, JSON.stringify(event)).catch(error => {
+        console.warn(`Could not publish ${type} event:`, error.message);
+      });
+
+      // Our own subscription delivers it back, so it isn't emitted twice here
+      if (this.subscriber && this.subscriber.isReady) {
+        return;
+      }
+    }
+    this.emit('event', event);
+  }
+
+  /**
+   * Listen to one user's events, optionally narrowed to one token. Returns a function that stops listening.
+   */
+  subscribe(userId, tokenId, listener) {
+    const handler = event => {
+      if (String(event.userId) !== String(userId)) return;
+      if (tokenId && String(event.tokenId) !== String(tokenId)) return;
+      listener(event);
+    };
+
+    this.on('event', handler);
+    return () => this.off('event', handler);
+  }
+
+  async close() {
+    for (const client of [this.subscriber, this.publisher]) {
+      if (client && client.isReady) {
+        await client.quit();
+      } else if (client && client.isOpen) {
+        // Still retrying the initial connection
+        client.destroy();
+      }
+    }
+  }
+}
+
+module.exports = { UploadEventBus, UPLOAD_EVENTS };
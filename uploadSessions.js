@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+require('dotenv').config();
+
+class UploadSessionManager {
+  constructor(database, options = {}) {
+    this.db = database;
+    this.directory = options.directory || path.join(__dirname, 'uploads', 'sessions');
+    this.chunkSize = options.chunkSize || parseInt(process.env.UPLOAD_CHUNK_SIZE) || 1024 * 1024; // 1MB
+    this.maxChunkSize = options.maxChunkSize || 8 * 1024 * 1024;
+    this.sessionTtl = options.sessionTtl || parseInt(process.env.UPLOAD_SESSION_TTL) || 24 * 60 * 60 * 1000; // 24 hours
+    this.maxOpenSessions = options.maxOpenSessions || parseInt(process.env.UPLOAD_SESSION_MAX_OPEN) || 20; // per guest IP and token
+    this.locks = new Map();
+
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+  }
+
+  /**
+   * Start a session and reserve the full file size on disk so chunks can land in any order.
+   * quotaReserved records that the caller already counted the file against the owner's quota.
+   */
+  async create(tokenId, { fileName, fileSize, mimetype, guestName, guestMessage, clientIp, quotaReserved }) {
+    const session = {
+      id: uuidv4(),
+      tokenId,
+      originalName: fileName,
+      mimetype,
+      size: fileSize,
+      guestName: guestName || 'Anonymous',
+      guestMessage: guestMessage || null,
+      clientIp,
+      quotaReserved,
+      expiresAt: new Date(Date.now() + this.sessionTtl)
+    };
+
+    const handle = await fs.promises.open(this.filePath(session.id), 'w');
+    try {
+      await handle.truncate(fileSize);
+    } finally {
+      await handle.close();
+    }
+
+    await this.db.createUploadSession(session);
+    return this.db.getUploadSession(session.id);
+  }
+
+  /**
+   * Get a session, or null if it doesn't exist or has expired
+   */
+  async get(sessionId) {
+    const session = await this.db.getUploadSession(sessionId);
+    if (!session || new Date(session.expires_at) <= new Date()) {
+      return null;
+    }
+    return session;
+  }
+
+  filePath(sessionId) {
+    return path.join(this.directory, `${sessionId}.part`);
+  }
+
+  /**
+   * Write a chunk at its byte offset and record the range as received
+   */
+  async writeChunk(sessionId, start, data) {
+    return this.withLock(sessionId, async () => {
+      const session = await this.get(sessionId);
+      if (!session || session.status !== 'active') {
+        throw new Error('Upload session is no longer active');
+      }
+
+      const end = start + data.length;
+      if (start < 0 || end > session.size) {
+        throw new Error(`Chunk ${start}-${end} is outside the file size of ${session.size} bytes`);
+      }
+
+      const handle = await fs.promises.open(this.filePath(sessionId), 'r+');
+      try {
+        await handle.write(data, 0, data.length, start);
+      } finally {
+        await handle.close();
+      }
+
+      const receivedRanges = this.addRange(session.received_ranges, start, end);
+      const receivedBytes = receivedRanges.reduce((total, [rangeStart, rangeEnd]) => total + rangeEnd - rangeStart, 0);
+      await this.db.updateUploadSessionProgress(sessionId, receivedRanges, receivedBytes);
+
+      return { ...session, received_ranges: receivedRanges, received_bytes: receivedBytes };
+    });
+  }
+
+  /**
+   * Merge [start, end) into a sorted list of non-overlapping ranges
+   */
+  addRange(ranges, start, end) {
+    const merged = [];
+    let current = [start, end];
+
+    for (const range of [...ranges].sort((a, b) => a[0] - b[0])) {
+      if (range[1] < current[0] || range[0] > current[1]) {
+        merged.push(range);
+      } else {
+        current = [Math.min(range[0], current[0]), Math.max(range[1], current[1])];
+      }
+    }
+
+    merged.push(current);
+    return merged.sort((a, b) => a[0] - b[0]);
+  }
+
+  /**
+   * Byte ranges the client still has to send
+   */
+  missingRanges(session) {
+    const missing = [];
+    let offset = 0;
+
+    for (const [start, end] of session.received_ranges) {
+      if (start > offset) {
+        missing.push([offset, start]);
+      }
+      offset = Math.max(offset, end);
+    }
+
+    if (offset < session.size) {
+      missing.push([offset, session.size]);
+    }
+    return missing;
+  }
+
+  isComplete(session) {
+    return session.received_bytes === session.size;
+  }
+
+  /**
+   * Run session updates one at a time so parallel chunks don't overwrite each other's ranges
+   */
+  async withLock(sessionId, fn) {
+    const previous = this.locks.get(sessionId) || Promise.resolve();
+    const result = previous.then(fn, fn);
+    const settled = result.catch(() => {});
+
+    this.locks.set(sessionId, settled);
+    settled.then(() => {
+      if (this.locks.get(sessionId) === settled) {
+        this.locks.delete(sessionId);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Whether a guest has reached the number of sessions they may keep open for a token
+   */
+  async atOpenSessionLimit(tokenId, clientIp) {
+    return await this.db.countOpenUploadSessions(tokenId, clientIp) >= this.maxOpenSessions;
+  }
+
+  /**
+   * Delete a session and its partial file, giving back the quota it held unless it became an upload
+   */
+  async remove(sessionId) {
+    const session = await this.db.getUploadSession(sessionId);
+    if (session && session.quota_reserved && session.status !== 'completed') {
+      await this.db.releaseUsage(session.user_id, 1, session.size);
+    }
+
+    try {
+      await fs.promises.unlink(this.filePath(sessionId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to delete partial upload ${sessionId}:`, error.message);
+      }
+    }
+    await this.db.deleteUploadSession(sessionId);
+  }
+
+  /**
+   * Remove sessions past their expiry, completed or abandoned
+   */
+  async cleanupExpired() {
+    try {
+      const sessions = await this.db.getExpiredUploadSessions();
+      // Locked so a completion still in progress isn't pulled out from under its client
+      for (const session of sessions) {
+        await this.withLock(session.id, () => this.remove(session.id));
+      }
+
+      if (sessions.length > 0) {
+        console.log(`Cleaned up ${sessions.length} expired upload session(s)`);
+      }
+      return sessions.length;
+    } catch (error) {
+      console.error('Error cleaning up upload sessions:', error.message);
+      return 0;
+    }
+  }
+}
+
+module.exports = UploadSessionManager;
@@ -0,0 +1,163 @@
+const fs = require('fs');
+
+// moov boxes are normally a few hundred KB; anything far larger is not worth buffering
+const MAX_MOOV_SIZE = 50 * 1024 * 1024;
+
+/**
+ * Read duration (seconds) and resolution from an MP4/MOV or AVI file without ffmpeg.
+ * Resolves to { duration, width, height }, or null when the container isn't recognised.
+ */
+async function probeVideo(filePath) {
+  let handle;
+
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+    const { size } = await handle.stat();
+    const header = await readAt(handle, 0, 12);
+
+    if (header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'AVI ') {
+      return await probeAvi(handle);
+    }
+
+    return await probeIsoMedia(handle, size);
+  } catch (error) {
+    console.error(`Failed to read video metadata from ${filePath}:`, error.message);
+    return null;
+  } finally {
+    if (handle) {
+      await handle.close();
+    }
+  }
+}
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * MP4, MOV and M4V share the ISO base media box layout
+ */
+async function probeIsoMedia(handle, fileSize) {
+  let offset = 0;
+
+  // Walk top-level boxes by header only, since moov is often written after the media data
+  while (offset + 8 <= fileSize) {
+    const header = await readAt(handle, offset, 16);
+    let boxSize = header.readUInt32BE(0);
+    const type = header.toString('ascii', 4, 8);
+    let headerSize = 8;
+
+    if (boxSize === 1) {
+      boxSize = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (boxSize === 0) {
+      boxSize = fileSize - offset;
+    }
+
+    if (boxSize < headerSize) {
+      return null;
+    }
+
+    if (type === 'moov') {
+      if (boxSize > MAX_MOOV_SIZE) {
+        return null;
+      }
+      const moov = await readAt(handle, offset + headerSize, boxSize - headerSize);
+      return parseMoov(moov);
+    }
+
+    offset += boxSize;
+  }
+
+  return null;
+}
+
+function* childBoxes(buffer) {
+  let offset = 0;
+
+  while (offset + 8 <= buffer.length) {
+    const size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    if (size < 8 || offset + size > buffer.length) {
+      return;
+    }
+
+    yield { type, body: buffer.subarray(offset + 8, offset + size) };
+    offset += size;
+  }
+}
+
+function parseMoov(moov) {
+  const metadata = { duration: null, width: null, height: null };
+
+  for (const box of childBoxes(moov)) {
+    if (box.type === 'mvhd') {
+      const version = box.body[0];
+      const timescale = version === 1 ? box.body.readUInt32BE(20) : box.body.readUInt32BE(12);
+      const duration = version === 1 ? Number(box.body.readBigUInt64BE(24)) : box.body.readUInt32BE(16);
+      if (timescale > 0) {
+        metadata.duration = Math.round((duration / timescale) * 100) / 100;
+      }
+    }
+
+    if (box.type === 'trak' && !metadata.width) {
+      const tkhd = [...childBoxes(box.body)].find(child => child.type === 'tkhd');
+      if (tkhd) {
+        Object.assign(metadata, parseTrackDimensions(tkhd.body));
+      }
+    }
+  }
+
+  return metadata;
+}
+
+function parseTrackDimensions(tkhd) {
+  // Skip version/flags, times, track ID and duration, then reserved/layer/group/volume fields
+  const matrixOffset = (tkhd[0] === 1 ? 36 : 24) + 16;
+  const sizeOffset = matrixOffset + 36;
+  if (tkhd.length < sizeOffset + 8) {
+    return {};
+  }
+
+  let width = tkhd.readUInt32BE(sizeOffset) >>> 16;
+  let height = tkhd.readUInt32BE(sizeOffset + 4) >>> 16;
+
+  // Audio tracks have no dimensions
+  if (!width || !height) {
+    return {};
+  }
+
+  // Phones record portrait video as landscape plus a 90° rotation matrix
+  const a = tkhd.readInt32BE(matrixOffset);
+  const b = tkhd.readInt32BE(matrixOffset + 4);
+  if (a === 0 && b !== 0) {
+    [width, height] = [height, width];
+  }
+
+  return { width, height };
+}
+
+/**
+ * AVI keeps frame timing and size in the main header near the start of the file
+ */
+async function probeAvi(handle) {
+  const header = await readAt(handle, 0, 512);
+  const avih = header.indexOf('avih', 12, 'ascii');
+  if (avih === -1 || avih + 48 > header.length) {
+    return null;
+  }
+
+  const body = avih + 8;
+  const microSecPerFrame = header.readUInt32LE(body);
+  const totalFrames = header.readUInt32LE(body + 16);
+
+  return {
+    duration: Math.round((microSecPerFrame * totalFrames) / 10000) / 100,
+    width: header.readUInt32LE(body + 32),
+    height: header.readUInt32LE(body + 36)
+  };
+}
+
+module.exports = { probeVideo };
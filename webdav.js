@@ -0,0 +1,244 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { assertPublicUrl, guardedLookup } = require('./networkGuard');
+require('dotenv').config();
+
+const MAX_REDIRECTS = 5;
+const REQUEST_TIMEOUT = 5 * 60 * 1000;
+
+class WebDAVUploader {
+  constructor(database = null) {
+    this.db = database;
+    this.userId = null;
+    this.baseUrl = null;
+    this.authHeader = null;
+    this.folderName = 'GuestStory';
+    this.knownFolders = new Set();
+  }
+
+  /**
+   * Initialize the WebDAV client with the user's saved destination settings
+   */
+  async initializeForUser(userId) {
+    try {
+      if (!this.db) {
+        throw new Error('Database instance not provided');
+      }
+
+      const destination = await this.db.getDeliveryDestination(userId);
+      if (!destination || destination.type !== 'webdav') {
+        throw new Error('User has not configured a WebDAV destination');
+      }
+
+      if (destination.needs_reconnect) {
+        throw new Error(`WebDAV reconnect required: ${destination.reconnect_reason || 'credentials rejected'}`);
+      }
+
+      this.configure(destination.config);
+      this.userId = userId;
+
+      // Fails early on bad URLs or credentials
+      await this.ensureFolder(this.folderName);
+
+      console.log(`WebDAV destination initialized for user ${userId}`);
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize WebDAV destination:', error.message);
+
+      if (this.userId && this.isReconnectError(error)) {
+        await this.markReconnectRequired('WebDAV server rejected the saved credentials');
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Apply connection settings: { url, username, password, folder }
+   */
+  configure(config) {
+    if (!config || !config.url) {
+      throw new Error('WebDAV URL is required');
+    }
+
+    this.baseUrl = config.url.replace(/\/+$/, '');
+    this.authHeader = config.username
+      ? 'Basic ' + Buffer.from(`${config.username}:${config.password || ''}`).toString('base64')
+      : null;
+    this.folderName = (config.folder || 'GuestStory').replace(/^\/+|\/+$/g, '');
+  }
+
+  /**
+   * Send a WebDAV request for a path relative to the configured URL.
+   * The URL is user-supplied, so every hop (redirects included) must stay off private networks.
+   * options.body may be a function returning a fresh stream, so it can be sent again after a redirect.
+   */
+  async request(method, remotePath, options = {}) {
+    const encodedPath = remotePath.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+    let url = `${this.baseUrl}/${encodedPath}`;
+    let headers = {
+      ...(this.authHeader && { Authorization: this.authHeader }),
+      ...options.headers
+    };
+
+    for (let redirects = 0; ; redirects++) {
+      await assertPublicUrl(url, { label: 'WebDAV URL' });
+
+      const response = await this.send(method, url, headers, options.body);
+      if (response.status < 300 || response.status >= 400 || !response.headers.location) {
+        return response;
+      }
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`WebDAV ${method} ${remotePath} redirected too many times`);
+      }
+
+      const next = new URL(response.headers.location, url);
+      // Credentials only go to the configured server
+      if (next.origin !== new URL(url).origin) {
+        const { Authorization, ...rest } = headers;
+        headers = rest;
+      }
+      url = next.href;
+    }
+  }
+
+  /**
+   * One HTTP request, resolving to { ok, status, statusText, headers } (response bodies aren't used)
+   */
+  send(method, url, headers, body) {
+    return new Promise((resolve, reject) => {
+      const client = url.startsWith('https:') ? https : http;
+      const req = client.request(url, { method, headers, lookup: guardedLookup, timeout: REQUEST_TIMEOUT }, (res) => {
+        res.resume();
+        resolve({
+          ok: res.statusCode >= 200 && res.statusCode < 300,
+          status: res.statusCode,
+          statusText: res.statusMessage,
+          headers: res.headers
+        });
+      });
+
+      req.on('error', reject);
+      req.on('timeout', () => req.destroy(new Error(`WebDAV ${method} timed out`)));
+
+      const content = typeof body === 'function' ? body() : body;
+      if (content && typeof content.pipe === 'function') {
+        content.on('error', (error) => req.destroy(error));
+        content.pipe(req);
+      } else {
+        req.end(content);
+      }
+    });
+  }
+
+  /**
+   * Build an error carrying the HTTP status of a failed WebDAV response
+   */
+  responseError(method, remotePath, response) {
+    const error = new Error(`WebDAV ${method} ${remotePath} failed: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    return error;
+  }
+
+  /**
+   * Whether an error means the saved credentials no longer work
+   */
+  isReconnectError(error) {
+    return error.status === 401 || error.status === 403;
+  }
+
+  /**
+   * Flag the user's WebDAV destination so they are asked to update it
+   */
+  async markReconnectRequired(reason) {
+    return this.db.markDeliveryDestinationReconnectRequired(this.userId, reason);
+  }
+
+  /**
+   * Create a folder path one collection at a time (MKCOL answers 405 when it already exists)
+   */
+  async ensureFolder(folderPath) {
+    let current = '';
+
+    for (const segment of folderPath.split('/').filter(Boolean)) {
+      current = current ? `${current}/${segment}` : segment;
+      if (this.knownFolders.has(current)) {
+        continue;
+      }
+
+      const response = await this.request('MKCOL', current);
+      if (!response.ok && response.status !== 405) {
+        throw this.responseError('MKCOL', current, response);
+      }
+
+      this.knownFolders.add(current);
+    }
+
+    return folderPath;
+  }
+
+  /**
+   * Folder names can't contain path separators
+   */
+  sanitizeSegment(name, fallback) {
+    const cleaned = (name || '').replace(/[\/\\]+/g, '-').trim();
+    return cleaned || fallback;
+  }
+
+  /**
+   * Upload a file into its event folder, nested per guest when the token asks for it
+   */
+  async uploadToEventFolder(filePath, fileName, mimeType, event, guestName = null) {
+    try {
+      const segments = [this.folderName, this.sanitizeSegment(event.event_name, 'Photo Collection')];
+      if (event.organize_by_guest) {
+        segments.push(this.sanitizeSegment(guestName, 'Anonymous'));
+      }
+
+      const folderPath = await this.ensureFolder(segments.filter(Boolean).join('/'));
+      return await this.uploadFile(filePath, fileName, mimeType, folderPath);
+    } catch (error) {
+      console.error(`Error uploading to event folder ${event.event_name}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a file without overwriting: guests' cameras reuse names like IMG_0001.jpg
+   */
+  async uploadFile(filePath, fileName, mimeType, folderPath = '') {
+    const stats = await fs.promises.stat(filePath);
+    const ext = path.extname(fileName);
+    const base = path.basename(this.sanitizeSegment(fileName, 'upload'), ext);
+
+    for (let copy = 0; copy < 100; copy++) {
+      const name = copy === 0 ? `${base}${ext}` : `${base} (${copy})${ext}`;
+      const remotePath = folderPath ? `${folderPath}/${name}` : name;
+
+      const response = await this.request('PUT', remotePath, {
+        headers: {
+          'Content-Type': mimeType,
+          'Content-Length': String(stats.size),
+          'If-None-Match': '*'
+        },
+        body: () => fs.createReadStream(filePath)
+      });
+
+      if (response.status === 412) {
+        continue;
+      }
+
+      if (!response.ok) {
+        throw this.responseError('PUT', remotePath, response);
+      }
+
+      console.log(`File uploaded: ${remotePath}`);
+      return { id: remotePath, name };
+    }
+
+    throw new Error(`Too many files named ${fileName} in ${folderPath}`);
+  }
+}
+
+module.exports = WebDAVUploader;
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+const { assertPublicUrl, guardedLookup, privateNetworksAllowed } = require('./networkGuard');
+require('dotenv').config();
+
+const WEBHOOK_EVENTS = ['upload.created', 'upload.delivered', 'token.expired', 'quota.reached'];
+
+const SIGNATURE_HEADER = 'GuestStory-Signature';
+
+// Owners are told once a day at most while guests keep hitting a full plan
+const QUOTA_NOTICE_INTERVAL = 24 * 60 * 60 * 1000;
+
+/**
+ * Signature over "<timestamp>.<body>", sent as "t=<timestamp>,v1=<hex HMAC-SHA256>" the way Stripe signs its webhooks.
+ * Receivers should recompute it with their endpoint secret and reject stale timestamps.
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Queues signed event notifications to owners' endpoints and sends them with retries.
+ * The server and the worker queue events; only the worker sends them.
+ */
+class WebhookService {
+  constructor(database) {
+    this.db = database;
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+    this.backoffBase = parseInt(process.env.WEBHOOK_BACKOFF_BASE) || 30 * 1000; // 30 seconds
+    this.backoffMax = 6 * 60 * 60 * 1000; // 6 hours
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT) || 10 * 1000;
+    // WEBHOOK_ALLOW_PRIVATE_NETWORKS predates ALLOW_PRIVATE_NETWORKS and still works for webhooks
+    this.allowPrivateNetworks = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true' || privateNetworksAllowed();
+  }
+
+  /**
+   * Queue an event for each of the user's active endpoints subscribed to it.
+   * Resolves to the number of deliveries queued.
+   */
+  async queueEvent(userId, type, data) {
+    const webhooks = await this.db.getActiveWebhooksForEvent(userId, type);
+    let queued = 0;
+
+    for (const webhook of webhooks) {
+      if (type === 'quota.reached' &&
+        await this.db.hasRecentWebhookDelivery(webhook.id, type, new Date(Date.now() - QUOTA_NOTICE_INTERVAL))) {
+        continue;
+      }
+
+      const event = { id: `evt_${uuidv4()}`, type, createdAt: new Date().toISOString(), data };
+      await this.db.createWebhookDelivery(webhook.id, event.id, type, JSON.stringify(event));
+      queued++;
+    }
+
+    return queued;
+  }
+
+  /**
+   * Send every delivery that is due, rescheduling failures with exponential backoff.
+   * Resolves to { delivered, failed }.
+   */
+  async processDueDeliveries(limit = 100) {
+    const deliveries = await this.db.getDueWebhookDeliveries(limit);
+    let delivered = 0;
+    let failed = 0;
+
+    for (const delivery of deliveries) {
+      const result = await this.send(delivery);
+
+      if (result.ok) {
+        await this.db.completeWebhookDelivery(delivery.id, result.status);
+        delivered++;
+        continue;
+      }
+
+      failed++;
+      const attempts = (delivery.attempts || 0) + 1;
+      const nextAttemptAt = attempts >= this.maxAttempts ?
+        null :
+        new Date(Date.now() + Math.min(this.backoffBase * Math.pow(2, attempts - 1), this.backoffMax));
+
+      await this.db.failWebhookDelivery(delivery.id, result.status, result.error, nextAttemptAt);
+      console.warn(`Webhook ${delivery.event_type} to ${delivery.url} failed (attempt ${attempts}/${this.maxAttempts}): ${result.error}`);
+    }
+
+    return { delivered, failed };
+  }
+
+  /**
+   * POST one delivery. Resolves to { ok, status, error }; never throws.
+   */
+  async send(delivery) {
+    try {
+      await this.checkDestination(delivery.url);
+
+      const response = await this.post(delivery.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'GuestStory-Webhooks/1.0',
+        'GuestStory-Event': delivery.event_type,
+        'GuestStory-Delivery': String(delivery.id),
+        [SIGNATURE_HEADER]: signPayload(delivery.secret, delivery.payload)
+      }, delivery.payload);
+
+      if (response.status >= 200 && response.status < 300) {
+        return { ok: true, status: response.status, error: null };
+      }
+      return { ok: false, status: response.status, error: `Endpoint responded with HTTP ${response.status}` };
+    } catch (error) {
+      const message = error.name === 'AbortError' ? `No response within ${this.timeout / 1000} seconds` : error.message;
+      return { ok: false, status: null, error: message };
+    }
+  }
+
+  /**
+   * POST a body, resolving to { status } (the response body isn't used).
+   * Redirects aren't followed, since they could point anywhere, and the address is checked again at
+   * connect time so a hostname can't switch to an internal address after checkDestination.
+   */
+  post(url, headers, body) {
+    return new Promise((resolve, reject) => {
+      const client = url.startsWith('https:') ? https : http;
+      const req = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        ...(!this.allowPrivateNetworks && { lookup: guardedLookup }),
+        signal: AbortSignal.timeout(this.timeout)
+      }, (res) => {
+        res.resume();
+        resolve({ status: res.statusCode });
+      });
+
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  // Endpoints are user-supplied, so they must not reach this host or its private network
+  async checkDestination(url) {
+    return assertPublicUrl(url, { label: 'Webhook URL', allowPrivateNetworks: this.allowPrivateNetworks });
+  }
+}
+
+module.exports = { WebhookService, WEBHOOK_EVENTS, SIGNATURE_HEADER, signPayload, generateSecret };
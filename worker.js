@@ -1,12 +1,32 @@
-const GoogleDriveUploader = require('./googleDrive');
-const GCPBucketUploader = require('./gcpBucket');
+const { createDestination, DEFAULT_DESTINATION } = require('./destinations');
+const { createStorage } = require('./storage');
+const { createScanner, deliverUnscannedFiles } = require('./malwareScanner');
+const { convertedFileName } = require('./imageProcessing');
+const { UploadEventBus } = require('./uploadEvents');
+const { WebhookService } = require('./webhooks');
+const { NotificationService } = require('./notifications');
+const Mailer = require('./mailer');
 const path = require('path');
 const fs = require('fs');
 require('dotenv').config();
 
-const uploader = new GoogleDriveUploader();
-const gcpUploader = new GCPBucketUploader();
-const tokensFile = path.join(__dirname, 'tokens.json');
+// Initialize database based on environment (same selection as server.js)
+let db;
+if (process.env.DB_TYPE === 'firestore') {
+  const GoogleCloudDatabase = require('./googleCloudDatabase.js');
+  db = new GoogleCloudDatabase();
+} else {
+  const Database = require('./database.js');
+  db = new Database();
+}
+
+const storageBackend = createStorage();
+const scanner = createScanner();
+const uploadEvents = new UploadEventBus();
+const webhooks = new WebhookService(db);
+const mailer = new Mailer();
+const notifications = new NotificationService(db, mailer);
+const uploadsDir = path.join(__dirname, 'uploads');
 const tempDir = path.join(__dirname, 'temp');
 
 // Create temp directory for downloads from bucket
@@ -17,100 +37,354 @@ if (!fs.existsSync(tempDir)) {
 // Interval in milliseconds (default: 5 minutes)
 const PROCESS_INTERVAL = parseInt(process.env.PROCESS_INTERVAL) || 5 * 60 * 1000;
 
+// Delivery retry policy: exponential backoff, dead-letter after the last attempt
+const DELIVERY_MAX_ATTEMPTS = parseInt(process.env.DELIVERY_MAX_ATTEMPTS) || 5;
+const DELIVERY_BACKOFF_BASE = parseInt(process.env.DELIVERY_BACKOFF_BASE) || 60 * 1000; // 1 minute
+const DELIVERY_BACKOFF_MAX = 6 * 60 * 60 * 1000; // 6 hours
+const DELIVERY_BATCH_SIZE = parseInt(process.env.DELIVERY_BATCH_SIZE) || 100;
+
+// Webhooks go out on their own, shorter interval (default: 30 seconds)
+const WEBHOOK_INTERVAL = parseInt(process.env.WEBHOOK_INTERVAL) || 30 * 1000;
+// Tokens that expired longer ago than this (e.g. before webhooks existed) are never announced
+const TOKEN_EXPIRY_LOOKBACK = 7 * 24 * 60 * 60 * 1000;
+
+// Upload emails and expiry warnings (default: every minute; the daily digest goes out once a day)
+const NOTIFICATION_INTERVAL = parseInt(process.env.NOTIFICATION_INTERVAL) || 60 * 1000;
+
+let uploadsRunning = false;
+
 async function processUploads() {
+  // Large videos and slow destinations can outlast the interval; overlapping runs would deliver the same job twice
+  if (uploadsRunning) return;
+  uploadsRunning = true;
+  
   console.log(`[${new Date().toISOString()}] Checking for pending uploads...`);
   
   try {
-    const result = await processFromBucketToDrive();
-    console.log(`[${new Date().toISOString()}] Processed: ${result.processed}, Failed: ${result.failed}`);
+    const result = await processPendingUploads();
+    console.log(`[${new Date().toISOString()}] Processed: ${result.processed}, Failed: ${result.failed}, Blocked: ${result.blocked}`);
   } catch (error) {
     console.error(`[${new Date().toISOString()}] Error processing uploads:`, error.message);
+  } finally {
+    uploadsRunning = false;
   }
 }
 
-async function processFromBucketToDrive() {
-  if (!uploader.drive) {
-    console.warn('Google Drive not configured, skipping upload processing');
-    return { processed: 0, failed: 0 };
-  }
-
-  if (!gcpUploader.bucket) {
-    console.warn('GCP Bucket not configured, skipping upload processing');
-    return { processed: 0, failed: 0 };
-  }
-
+async function processPendingUploads() {
   try {
-    const tokens = JSON.parse(fs.readFileSync(tokensFile, 'utf8'));
+    const dueJobs = await db.getDueDeliveryJobs(DELIVERY_BATCH_SIZE);
     let processed = 0;
     let failed = 0;
-    
-    // Create a folder for guest uploads if needed
-    const folderName = process.env.DRIVE_FOLDER_NAME || 'Guest Uploads';
-    let folderId = process.env.DRIVE_FOLDER_ID;
-    
-    if (!folderId) {
-      const folder = await uploader.createFolder(folderName);
-      folderId = folder.id;
-      console.log(`Created folder: ${folderName} (${folderId})`);
+    let blocked = 0;
+
+    // Group by owner so each user's destination is initialized once per run
+    const uploadsByUser = new Map();
+    for (const upload of dueJobs) {
+      if (!uploadsByUser.has(upload.user_id)) {
+        uploadsByUser.set(upload.user_id, []);
+      }
+      uploadsByUser.get(upload.user_id).push(upload);
     }
 
-    for (const [token, tokenData] of Object.entries(tokens)) {
-      for (const upload of tokenData.uploads) {
-        if (upload.uploadedToBucket && !upload.uploadedToDrive) {
-          try {
-            // Download from bucket to temp location
-            const tempFilePath = path.join(tempDir, upload.filename);
-            await gcpUploader.downloadFile(upload.filename, tempFilePath);
-            
-            // Upload to Google Drive
-            await uploader.uploadFile(
-              tempFilePath,
-              upload.originalName,
-              upload.mimetype,
-              folderId
-            );
-            
-            // Delete from bucket and temp file
-            await gcpUploader.deleteFile(upload.filename);
-            fs.unlinkSync(tempFilePath);
+    for (const [userId, uploads] of uploadsByUser) {
+      // Each user delivers to the destination they configured (Google Drive by default)
+      const destination = await db.getDeliveryDestination(userId);
+      const destinationType = destination ? destination.type : DEFAULT_DESTINATION;
+      const uploader = createDestination(destinationType, db);
+      const destinationInitialized = await uploader.initializeForUser(userId);
+
+      // Jobs stay queued without spending attempts until the user (re)connects their destination
+      if (!destinationInitialized) {
+        console.warn(`Delivery destination (${destinationType}) not connected for user ${userId}, skipping ${uploads.length} upload(s)`);
+        continue;
+      }
+
+      // One shared token row per event so folder IDs created mid-run are reused
+      const events = new Map();
+
+      for (const upload of uploads) {
+        if (!events.has(upload.token_id)) {
+          events.set(upload.token_id, {
+            id: upload.token_id,
+            event_name: upload.event_name,
+            organize_by_guest: !!upload.organize_by_guest,
+            drive_folder_id: upload.drive_folder_id,
+            drive_guest_folders: { ...upload.drive_guest_folders }
+          });
+        }
+
+        try {
+          const result = await deliverUpload(uploader, upload, events.get(upload.token_id));
+          
+          if (result.blocked) {
+            await db.blockDeliveryJob(upload.job_id, result.reason);
+            blocked++;
             
-            upload.uploadedToDrive = true;
-            upload.uploadedToDriveAt = new Date().toISOString();
-            processed++;
+            publishUploadEvent('upload-failed', upload, { error: result.reason, blocked: true, willRetry: false });
             
-            console.log(`Successfully processed: ${upload.originalName}`);
-          } catch (error) {
-            console.error(`Failed to process ${upload.originalName}:`, error.message);
-            failed++;
+            console.warn(`Blocked ${upload.original_name}: ${result.reason}`);
+            continue;
+          }
+          
+          await db.completeDeliveryJob(upload.job_id);
+          processed++;
+          
+          publishUploadEvent('upload-delivered', upload, { destination: destinationType });
+          await queueWebhook(userId, 'upload.delivered', {
+            uploadId: upload.id,
+            tokenId: upload.token_id,
+            eventName: upload.event_name,
+            originalName: upload.original_name,
+            destination: destinationType
+          });
+          
+          console.log(`Successfully processed: ${upload.original_name}`);
+        } catch (error) {
+          console.error(`Failed to process ${upload.original_name}:`, error.message);
+          failed++;
+
+          // Authorization revoked mid-run: flag the account and leave the rest queued
+          if (uploader.isReconnectError(error)) {
+            await uploader.markReconnectRequired('Authorization revoked or expired');
+            console.warn(`Delivery destination (${destinationType}) reconnect required for user ${userId}, skipping remaining uploads`);
+            break;
           }
+
+          await recordDeliveryFailure(upload, error);
         }
       }
     }
-
-    // Save updated token data
-    fs.writeFileSync(tokensFile, JSON.stringify(tokens, null, 2));
     
-    console.log(`Processed ${processed} uploads, ${failed} failed`);
-    return { processed, failed };
+    console.log(`Processed ${processed} uploads, ${failed} failed, ${blocked} blocked`);
+    return { processed, failed, blocked };
   } catch (error) {
     console.error('Error processing pending uploads:', error.message);
     throw error;
   }
 }
 
-async function startWorker() {
-  console.log('Starting Google Drive upload worker with GCP bucket integration...');
+async function recordDeliveryFailure(upload, error) {
+  const attempts = (upload.attempts || 0) + 1;
+
+  if (attempts >= DELIVERY_MAX_ATTEMPTS) {
+    await db.failDeliveryJob(upload.job_id, error.message, null);
+    publishUploadEvent('upload-failed', upload, { error: error.message, attempts, willRetry: false });
+    console.warn(`Giving up on ${upload.original_name} after ${attempts} attempts`);
+    return;
+  }
+
+  const delay = Math.min(DELIVERY_BACKOFF_BASE * Math.pow(2, attempts - 1), DELIVERY_BACKOFF_MAX);
+  const retryAt = new Date(Date.now() + delay);
+  await db.failDeliveryJob(upload.job_id, error.message, retryAt);
+  publishUploadEvent('upload-failed', upload, { error: error.message, attempts, willRetry: true, retryAt });
+  console.log(`Retrying ${upload.original_name} in ${Math.round(delay / 1000)} seconds (attempt ${attempts}/${DELIVERY_MAX_ATTEMPTS})`);
+}
+
+// Feed the owner's live dashboard (relayed by the server over Redis)
+function publishUploadEvent(type, upload, details) {
+  uploadEvents.publish(type, {
+    userId: upload.user_id,
+    tokenId: upload.token_id,
+    uploadId: upload.id,
+    originalName: upload.original_name,
+    stage: 'delivery',
+    ...details
+  });
+}
+
+// A webhook that can't be queued must not fail the delivery it reports on
+async function queueWebhook(userId, type, data) {
+  try {
+    await webhooks.queueEvent(userId, type, data);
+  } catch (error) {
+    console.error(`Failed to queue ${type} webhook:`, error.message);
+  }
+}
+
+let webhooksRunning = false;
+
+async function processWebhooks() {
+  // Slow endpoints can outlast the interval; overlapping runs would send the same delivery twice
+  if (webhooksRunning) return;
+  webhooksRunning = true;
   
-  // Initialize Google Drive API and GCP bucket
-  const driveInitialized = await uploader.initialize();
-  const bucketInitialized = await gcpUploader.initialize();
+  try {
+    const expiredTokens = await db.getNewlyExpiredTokens(new Date(Date.now() - TOKEN_EXPIRY_LOOKBACK));
+    for (const token of expiredTokens) {
+      await queueWebhook(token.user_id, 'token.expired', {
+        tokenId: token.id,
+        eventName: token.event_name,
+        expiredAt: new Date(token.expires_at).toISOString()
+      });
+      await db.markTokenExpiryNotified(token.id);
+    }
+    
+    const result = await webhooks.processDueDeliveries();
+    if (result.delivered || result.failed) {
+      console.log(`[${new Date().toISOString()}] Webhooks delivered: ${result.delivered}, failed: ${result.failed}`);
+    }
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error processing webhooks:`, error.message);
+  } finally {
+    webhooksRunning = false;
+  }
+}
+
+let notificationsRunning = false;
+
+async function processNotifications() {
+  if (notificationsRunning) return;
+  notificationsRunning = true;
+  
+  try {
+    const uploadEmails = await notifications.sendUploadNotifications();
+    const warnings = await notifications.sendExpiryWarnings();
+    
+    if (uploadEmails || warnings) {
+      console.log(`[${new Date().toISOString()}] Emails sent: ${uploadEmails} upload notification(s), ${warnings} expiry warning(s)`);
+    }
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error sending notifications:`, error.message);
+  } finally {
+    notificationsRunning = false;
+  }
+}
+
+// Uploads are staged in the storage backend; rows from before staging may still sit in the local uploads directory
+async function fetchUploadFile(filename) {
+  const localPath = path.join(uploadsDir, filename);
+  if (fs.existsSync(localPath)) {
+    return { filePath: localPath, fromStorage: false };
+  }
+
+  if (!storageBackend.isReady()) {
+    throw new Error('File not found locally and storage backend not configured');
+  }
+
+  const tempPath = path.join(tempDir, filename);
+  await storageBackend.get(filename, tempPath);
+  return { filePath: tempPath, fromStorage: true };
+}
+
+async function deliverUpload(uploader, upload, event) {
+  // Converted uploads (HEIC -> JPEG) are named after the format delivered, and also deliver the kept original
+  const converted = path.extname(upload.filename).toLowerCase() !== path.extname(upload.original_name).toLowerCase();
+  const files = [{
+    filename: upload.filename,
+    name: converted ? convertedFileName(upload.original_name) : upload.original_name,
+    mimetype: upload.mimetype
+  }];
+  if (upload.source_filename) {
+    files.push({ filename: upload.source_filename, name: upload.original_name, mimetype: upload.source_mimetype });
+  }
+
+  const fetched = [];
+  try {
+    for (const file of files) {
+      const { filePath, fromStorage } = await fetchUploadFile(file.filename);
+      fetched.push({ ...file, filePath, fromStorage });
+    }
+
+    // Guests are anonymous, so nothing reaches the owner's destination before it has been scanned
+    if (scanner) {
+      const verdict = await scanUploadFiles(fetched);
+      await db.updateUploadScanResult(upload.id, verdict.status, verdict.signature);
+
+      if (verdict.status === 'infected') {
+        await quarantineUploadFiles(fetched);
+        return { blocked: true, reason: `Malware detected (${verdict.signature})` };
+      }
+
+      // Otherwise a guest could get past the scanner by sending a large enough file
+      if (verdict.status === 'skipped' && !deliverUnscannedFiles()) {
+        return { blocked: true, reason: 'File is too large to be scanned for malware' };
+      }
+    }
+
+    // Hand off to the user's delivery destination
+    for (const file of fetched) {
+      await uploader.uploadToEventFolder(file.filePath, file.name, file.mimetype, event, upload.uploader_name);
+    }
+
+    await db.markUploadToDrive(upload.id);
+
+    // Delete from storage and local files once everything is delivered
+    for (const file of fetched) {
+      if (file.fromStorage) {
+        await storageBackend.delete(file.filename);
+      } else {
+        fs.unlinkSync(file.filePath);
+      }
+    }
+
+    return { blocked: false };
+  } finally {
+    // Temp copies are downloaded again on retry
+    for (const file of fetched) {
+      if (file.fromStorage && fs.existsSync(file.filePath)) {
+        fs.unlinkSync(file.filePath);
+      }
+    }
+  }
+}
+
+// An upload is infected if any of its files is; 'skipped' when a file was too large for the scanner
+async function scanUploadFiles(files) {
+  let status = 'clean';
+
+  for (const file of files) {
+    const result = await scanner.scanFile(file.filePath);
+    if (result.status === 'infected') {
+      return result;
+    }
+    if (result.status === 'skipped') {
+      status = 'skipped';
+    }
+  }
+
+  return { status, signature: null };
+}
+
+// Infected files are kept under quarantine/ for the owner or an admin to inspect, never delivered
+async function quarantineUploadFiles(files) {
+  for (const file of files) {
+    const key = `quarantine/${file.filename}`;
+
+    if (storageBackend.isReady()) {
+      await storageBackend.put(key, file.filePath, { contentType: file.mimetype });
+      if (file.fromStorage) {
+        await storageBackend.delete(file.filename);
+      } else {
+        fs.unlinkSync(file.filePath);
+      }
+    } else {
+      const quarantinePath = path.join(uploadsDir, key);
+      await fs.promises.mkdir(path.dirname(quarantinePath), { recursive: true });
+      await fs.promises.rename(file.filePath, quarantinePath);
+    }
+  }
+}
+
+async function startWorker() {
+  console.log(`Starting delivery worker with ${storageBackend.driver} storage...`);
   
-  if (!driveInitialized) {
-    console.warn('Google Drive API not initialized. Worker will run but Drive uploads will be skipped.');
+  if (scanner) {
+    console.log(`Scanning guest files with ${scanner.type} before delivery`);
+    if (deliverUnscannedFiles()) {
+      console.warn('MALWARE_SCAN_FAIL_OPEN is set. Files too large to scan will be delivered unscanned.');
+    }
+  } else {
+    console.warn('MALWARE_SCANNER not set. Guest files will be delivered without malware scanning.');
   }
   
-  if (!bucketInitialized) {
-    console.warn('GCP Bucket not initialized. Worker will run but bucket processing will be skipped.');
+  // Events only reach dashboards through Redis, the server runs in another process
+  uploadEvents.connect({ subscribe: false });
+  
+  // Destinations are initialized per user when their uploads are processed
+  const storageInitialized = await storageBackend.initialize();
+  
+  if (!storageInitialized) {
+    console.warn('Storage backend not initialized. Worker will only deliver files from the local uploads directory.');
   }
   
   // Process immediately on start
@@ -119,6 +393,16 @@ async function startWorker() {
   // Then process at regular intervals
   setInterval(processUploads, PROCESS_INTERVAL);
   
+  await processWebhooks();
+  setInterval(processWebhooks, WEBHOOK_INTERVAL);
+  
+  if (mailer.isConfigured()) {
+    await processNotifications();
+    setInterval(processNotifications, NOTIFICATION_INTERVAL);
+  } else {
+    console.warn('SMTP_HOST not set. Upload emails and expiry warnings are disabled.');
+  }
+  
   console.log(`Worker running, checking every ${PROCESS_INTERVAL / 1000} seconds`);
 }
 